@@ -0,0 +1,92 @@
+import path from 'path';
+import ffmpeg from 'fluent-ffmpeg';
+
+// EBU R128 targets: integrated loudness (LUFS), true peak (dBTP) and loudness
+// range (LU). -16 LUFS is what podcast and streaming platforms expect;
+// broadcast uses -23.
+export const LOUDNESS_TARGET = {
+  integrated: Number(process.env.LOUDNORM_TARGET_LUFS) || -16,
+  truePeak: -1.5,
+  range: 11
+};
+
+// loudnorm resamples to 192 kHz internally; its output goes back to a normal rate
+const OUTPUT_SAMPLE_RATE = 48000;
+
+// Downloadable audio of a processed video, by the extension they're served under
+export const AUDIO_EXPORT_FORMATS = {
+  m4a: { codec: 'aac', format: 'ipod', options: ['-movflags', '+faststart'] },
+  mp3: { codec: 'libmp3lame', format: 'mp3', options: [] }
+};
+
+export const audioExportFile = (format) => `audio.${format}`;
+
+const targetOptions = `I=${LOUDNESS_TARGET.integrated}:TP=${LOUDNESS_TARGET.truePeak}:LRA=${LOUDNESS_TARGET.range}`;
+
+// First loudnorm pass: measure an audio stream of the source. Null for a
+// silent stream, which has no loudness to normalize.
+export const measureLoudness = (inputPath, sourceIndex, { signal } = {}) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(signal.reason);
+    return;
+  }
+
+  const command = ffmpeg(inputPath)
+    .outputOptions(
+      '-map', `0:a:${sourceIndex}`,
+      '-af', `loudnorm=${targetOptions}:print_format=json`,
+      '-f', 'null'
+    )
+    .output('-')
+    // The measurement is the last JSON object loudnorm logs
+    .on('end', (stdout, stderr) => {
+      try {
+        const report = JSON.parse(stderr.slice(stderr.lastIndexOf('{'), stderr.lastIndexOf('}') + 1));
+        const measured = {
+          integrated: Number(report.input_i),
+          truePeak: Number(report.input_tp),
+          range: Number(report.input_lra),
+          threshold: Number(report.input_thresh),
+          offset: Number(report.target_offset)
+        };
+        resolve(Object.values(measured).every(Number.isFinite) ? measured : null);
+      } catch {
+        reject(new Error('loudnorm reported no measurement'));
+      }
+    })
+    .on('error', reject);
+
+  signal?.addEventListener('abort', () => command.kill('SIGKILL'), { once: true });
+  command.run();
+});
+
+// Second pass: the audio filter bringing a measured stream to the target with
+// a single linear gain, so its dynamics stay as they were
+export const loudnormFilter = (measured) =>
+  `loudnorm=${targetOptions}:measured_I=${measured.integrated}:measured_TP=${measured.truePeak}:` +
+  `measured_LRA=${measured.range}:measured_thresh=${measured.threshold}:offset=${measured.offset}:linear=true,` +
+  `aresample=${OUTPUT_SAMPLE_RATE}`;
+
+// Write one audio track of the source as a stereo M4A or MP3 file, normalized
+// by `filter` if given, tagged with the video's title
+export const exportAudio = ({ inputPath, outputDir, track, format, bitrate, filter, title }) => new Promise((resolve, reject) => {
+  const { codec, format: muxer, options } = AUDIO_EXPORT_FORMATS[format];
+  const outputPath = path.join(outputDir, audioExportFile(format));
+
+  ffmpeg(inputPath)
+    .outputOptions(
+      '-map', `0:a:${track.sourceIndex}`,
+      '-vn',
+      ...(filter ? ['-af', filter] : []),
+      '-c:a', codec,
+      '-b:a', `${bitrate}k`,
+      '-ac', String(Math.min(track.channels, 2)),
+      '-metadata', `title=${title}`,
+      ...options,
+      '-f', muxer
+    )
+    .output(outputPath)
+    .on('end', () => resolve(outputPath))
+    .on('error', reject)
+    .run();
+});
@@ -0,0 +1,132 @@
+import { v4 as uuidv4 } from 'uuid';
+import { readJsonFile, createJsonWriter } from './jsonStore.js';
+
+// Video lifecycle states recorded in the catalog
+export const VIDEO_STATUS = {
+  QUEUED: 'queued',
+  PROCESSING: 'processing',
+  PROCESSED: 'processed',
+  ERROR: 'error'
+};
+
+const videos = new Map();
+let writeCatalog = null;
+
+const persist = () => writeCatalog({ videos: Array.from(videos.values()) });
+
+// Fields every catalog entry has. Entries written before a field existed get
+// its default when the catalog is loaded.
+const defaultFields = () => ({
+  ownerId: null,
+  source: null,
+  sourceFilename: null,
+  sourcePath: null,
+  tusUploadId: null,
+  // For clips: the original video, the range cut from it and its source file
+  clip: null,
+  profile: null,
+  packaging: null,
+  encrypted: false,
+  // Watermark settings of this video; null uses its owner's
+  watermark: null,
+  // Whether the audio is brought to the EBU R128 target, and what was measured
+  // when it was
+  normalizeAudio: false,
+  loudness: null,
+  status: VIDEO_STATUS.PROCESSING,
+  renditions: [],
+  // Separate audio playlists; null until processed (or processed before they were recorded)
+  audioTracks: null,
+  // The audio-only variant of the master playlist and the downloadable audio files
+  audioOnly: null,
+  audioExports: [],
+  subtitles: [],
+  timestampOffset: null,
+  duration: null,
+  // Source resolution, probed when processing starts
+  width: null,
+  height: null,
+  poster: null,
+  thumbnails: null,
+  error: null,
+  processedAt: null
+});
+
+// Load the catalog from disk, starting empty if it doesn't exist yet
+export const loadCatalog = async (filePath) => {
+  writeCatalog = createJsonWriter(filePath, 'video catalog');
+
+  const data = await readJsonFile(filePath, { videos: [] });
+  videos.clear();
+  for (const video of data.videos) {
+    videos.set(video.id, { ...defaultFields(), ...video });
+  }
+  console.log(`%%% SERVER: Loaded ${videos.size} videos from catalog`);
+};
+
+export const createVideo = async (fields) => {
+  const now = new Date().toISOString();
+  const video = {
+    id: fields.id || uuidv4(),
+    ...defaultFields(),
+    createdAt: now,
+    updatedAt: now,
+    ...fields
+  };
+
+  videos.set(video.id, video);
+  await persist();
+  return video;
+};
+
+export const updateVideo = async (videoId, changes) => {
+  const video = videos.get(videoId);
+  if (!video) {
+    return null;
+  }
+
+  Object.assign(video, changes, { updatedAt: new Date().toISOString() });
+  await persist();
+  return video;
+};
+
+export const removeVideo = async (videoId) => {
+  const removed = videos.delete(videoId);
+  if (removed) {
+    await persist();
+  }
+  return removed;
+};
+
+export const getVideo = (videoId) => videos.get(videoId) || null;
+
+export const findVideo = (predicate) => {
+  for (const video of videos.values()) {
+    if (predicate(video)) {
+      return video;
+    }
+  }
+  return null;
+};
+
+export const findVideos = (predicate) => Array.from(videos.values()).filter(predicate);
+
+// Newest first, optionally filtered by owner, status and source
+export const listVideos = ({ page = 1, limit = 20, ownerId, status, source } = {}) => {
+  const filtered = Array.from(videos.values())
+    .filter((video) => !ownerId || video.ownerId === ownerId)
+    .filter((video) => !status || video.status === status)
+    .filter((video) => !source || video.source === source)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  const total = filtered.length;
+  const start = (page - 1) * limit;
+
+  return {
+    videos: filtered.slice(start, start + limit),
+    page,
+    limit,
+    total,
+    totalPages: Math.max(1, Math.ceil(total / limit))
+  };
+};
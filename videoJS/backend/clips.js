@@ -0,0 +1,137 @@
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import ffmpeg from 'fluent-ffmpeg';
+import { probeVideo } from './encoder.js';
+import { findTextSubtitleStreams } from './subtitles.js';
+
+const execFileAsync = promisify(execFile);
+
+// Shortest clip worth running through the HLS pipeline
+const MIN_CLIP_DURATION = 1;
+
+// A keyframe this close to the in-point counts as on it
+const KEYFRAME_TOLERANCE = 0.05;
+
+// How far before the in-point to look for keyframes
+const KEYFRAME_SEARCH_WINDOW = 10;
+
+// Problems with a requested clip range of a video, or null
+export const checkClipRange = ({ start, end }, duration) => {
+  if (typeof start !== 'number' || typeof end !== 'number' || !Number.isFinite(start) || !Number.isFinite(end)) {
+    return 'Start and end must be numbers of seconds';
+  }
+  if (start < 0 || end > duration) {
+    return `The clip has to lie within the video (0 to ${duration.toFixed(1)} seconds)`;
+  }
+  if (end - start < MIN_CLIP_DURATION) {
+    return `The clip has to be at least ${MIN_CLIP_DURATION} second long`;
+  }
+  return null;
+};
+
+// m:ss or h:mm:ss, for naming clips
+const formatTime = (seconds) => {
+  const total = Math.floor(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = String(Math.floor(total / 60) % 60);
+  const secs = String(total % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${minutes.padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+};
+
+// Name for a clip nobody named, e.g. "lecture 1:05-2:30"
+export const defaultClipName = (filename, start, end) =>
+  `${filename.replace(/\.[^.]+$/, '')} ${formatTime(start)}-${formatTime(end)}`;
+
+// Keyframe times of the first video stream around a point of the media timeline
+const findKeyframesNear = async (inputPath, time) => {
+  const { stdout } = await execFileAsync(process.env.FFPROBE_PATH || 'ffprobe', [
+    '-v', 'error',
+    '-select_streams', 'v:0',
+    '-skip_frame', 'nokey',
+    '-show_entries', 'frame=best_effort_timestamp_time',
+    '-read_intervals', `${Math.max(0, time - KEYFRAME_SEARCH_WINDOW)}%${time + 1}`,
+    '-of', 'csv=p=0',
+    inputPath
+  ]);
+
+  return stdout
+    .split('\n')
+    .map((line) => parseFloat(line))
+    .filter(Number.isFinite);
+};
+
+// Whether the in-point falls on a keyframe, so the clip can be cut without
+// re-encoding. The out-point doesn't matter: a stream copy simply stops before
+// the first frame past it.
+const startsOnKeyframe = async (inputPath, start, sourceStartTime) => {
+  if (start === 0) {
+    return true;
+  }
+  const keyframes = await findKeyframesNear(inputPath, sourceStartTime + start);
+  return keyframes.some((time) => Math.abs(time - (sourceStartTime + start)) <= KEYFRAME_TOLERANCE);
+};
+
+// Cut `start`-`end` (seconds from the start of the video) out of a source into
+// a Matroska file that keeps every audio track and the text subtitles. The cut
+// is a stream copy when the in-point is on a keyframe and re-encodes otherwise.
+// Aborting `signal` kills ffmpeg.
+export const cutClip = async ({ inputPath, outputPath, start, end, onProgress, signal }) => {
+  signal?.throwIfAborted();
+
+  const metadata = await probeVideo(inputPath);
+  const sourceStartTime = Number(metadata.format?.start_time) || 0;
+  const streamCopy = await startsOnKeyframe(inputPath, start, sourceStartTime);
+  const length = end - start;
+  // A re-encode seeks to somewhere before the in-point and decodes up to it.
+  // Seeking straight to it shifts the streams apart once subtitles are mapped.
+  const inputSeek = streamCopy ? start : Math.max(0, start - KEYFRAME_SEARCH_WINDOW);
+
+  // Matroska can't carry every subtitle codec (e.g. mov_text), but SubRip
+  // holds everything the subtitle pipeline extracts later
+  const subtitleMaps = findTextSubtitleStreams(metadata)
+    .flatMap((stream) => ['-map', `0:${stream.index}`]);
+
+  console.log(`%%% SERVER: Cutting ${start}-${end}s of ${inputPath} (${streamCopy ? 'stream copy' : 're-encode'})`);
+
+  await new Promise((resolve, reject) => {
+    const command = ffmpeg(inputPath)
+      .seekInput(inputSeek)
+      .seek(start - inputSeek)
+      .duration(length)
+      .outputOptions(
+        '-map', '0:v:0',
+        '-map', '0:a?',
+        ...subtitleMaps,
+        '-c', 'copy',
+        ...(subtitleMaps.length > 0 ? ['-c:s', 'srt'] : []),
+        ...(streamCopy
+          ? ['-avoid_negative_ts', 'make_zero']
+          // Audio is re-encoded too: copied packets keep their own timestamps
+          // and drift from the re-encoded video
+          : ['-c:v', 'libx264', '-preset', 'veryfast', '-crf', '18', '-pix_fmt', 'yuv420p', '-c:a', 'aac', '-b:a', '192k'])
+      )
+      .output(outputPath)
+      .on('start', (commandLine) => {
+        console.log(`%%% SERVER: FFMPEG clip command: ${commandLine}`);
+      })
+      .on('progress', (progress) => {
+        // fluent-ffmpeg's percent is relative to the whole source
+        const [hours = 0, minutes = 0, seconds = 0] = (progress.timemark || '').split(':').map(Number);
+        const done = hours * 3600 + minutes * 60 + seconds;
+        onProgress?.({ ...progress, percent: Math.min(100, (done / length) * 100) });
+      })
+      .on('end', () => {
+        onProgress?.({ percent: 100 });
+        resolve();
+      })
+      .on('error', (err) => {
+        console.error(`%%% SERVER ERROR: FFMPEG clip error: ${err.message}`);
+        reject(err);
+      });
+
+    signal?.addEventListener('abort', () => command.kill('SIGKILL'), { once: true });
+    command.run();
+  });
+
+  return { streamCopy };
+};
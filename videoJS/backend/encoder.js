@@ -0,0 +1,463 @@
+import fs from 'fs/promises';
+import path from 'path';
+import ffmpeg from 'fluent-ffmpeg';
+import { even } from './mediaHelpers.js';
+import { isValidLanguage } from './subtitles.js';
+
+// H.264 profile_idc + constraint flags and AAC object types for the CODECS attribute
+const AVC_PROFILES = {
+  'Baseline': '4200',
+  'Constrained Baseline': '42e0',
+  'Main': '4d40',
+  'High': '6400'
+};
+
+const AAC_PROFILES = {
+  'LC': 'mp4a.40.2',
+  'HE-AAC': 'mp4a.40.5',
+  'HE-AACv2': 'mp4a.40.29'
+};
+
+// Read stream and container metadata for a media file
+export const probeVideo = (inputPath, options = []) => new Promise((resolve, reject) => {
+  ffmpeg.ffprobe(inputPath, options, (err, metadata) => {
+    if (err) reject(err);
+    else resolve(metadata);
+  });
+});
+
+// Fit the ladder to the source: never upscale, keep the aspect ratio and
+// always produce at least one rendition
+export const planRenditions = (ladder, { width, height }) => {
+  const aspectRatio = width / height;
+
+  let steps = ladder.filter((step) => step.height <= height);
+  if (steps.length === 0) {
+    steps = [{ ...ladder[0], name: `${even(height)}p`, height }];
+  }
+
+  return steps.map((step) => ({
+    name: step.name,
+    width: even(step.height * aspectRatio),
+    height: even(step.height),
+    videoBitrate: step.videoBitrate,
+    maxrate: Math.round(step.videoBitrate * 1.07),
+    bufsize: Math.round(step.videoBitrate * 1.5)
+  }));
+};
+
+// Every audio stream of the source becomes an audio track, labelled with its
+// language tag and title. The source's default stream stays the default.
+export const planAudioTracks = (metadata) => {
+  const streams = metadata.streams.filter((stream) => stream.codec_type === 'audio');
+  const defaultIndex = Math.max(0, streams.findIndex((stream) => stream.disposition?.default));
+  const usedNames = new Set();
+
+  return streams.map((stream, i) => {
+    const tag = stream.tags?.language;
+    const language = isValidLanguage(tag) && tag !== 'und' ? tag : null;
+
+    // Names end up quoted in the master playlist and must differ within the group
+    const baseName = (stream.tags?.title || language || `Audio ${i + 1}`).replace(/["\r\n]/g, '');
+    let name = baseName;
+    for (let n = 2; usedNames.has(name); n++) {
+      name = `${baseName} ${n}`;
+    }
+    usedNames.add(name);
+
+    return {
+      sourceIndex: i,
+      language,
+      name,
+      channels: stream.channels || 2,
+      default: i === defaultIndex
+    };
+  });
+};
+
+// A single MPEG-TS audio track is muxed into every variant. Several tracks, and
+// CMAF audio, are audio-only renditions of their own that the master playlist
+// offers as an audio group.
+const hasSeparateAudio = (packaging, audioTracks) =>
+  audioTracks.length > 1 || (packaging === 'cmaf' && audioTracks.length > 0);
+
+// MPEG-TS: each variant muxes its own copy of a single audio track, followed by
+// one more copy on its own for the audio-only variant, or several audio tracks
+// follow the video variants as an audio group. %v expands to the variant's
+// index. Segments are AES-128 encrypted when a key info file is given.
+const tsOutput = (outputDir, renditions, audioTracks, { segmentDuration }, encryption) => {
+  const separateAudio = hasSeparateAudio('ts', audioTracks);
+  const muxedAudio = separateAudio ? [] : audioTracks.slice(0, 1);
+  const variants = separateAudio
+    ? [
+      ...renditions.map((_, i) => `v:${i},agroup:audio`),
+      ...audioTracks.map((_, i) => `a:${i},agroup:audio`)
+    ]
+    : [
+      ...renditions.map((_, i) => (muxedAudio.length > 0 ? `v:${i},a:${i}` : `v:${i}`)),
+      ...muxedAudio.map(() => `a:${renditions.length}`)
+    ];
+
+  return {
+    // The source track each output audio stream is encoded from
+    audioOutputs: separateAudio ? audioTracks : [...renditions.map(() => muxedAudio[0]), ...muxedAudio].filter(Boolean),
+    options: [
+      '-f', 'hls',
+      '-hls_time', String(segmentDuration),
+      '-hls_playlist_type', 'vod',
+      '-hls_flags', 'independent_segments',
+      ...(encryption ? ['-hls_key_info_file', encryption.keyInfoPath] : []),
+      '-hls_segment_filename', path.join(outputDir, 'segment_%v_%03d.ts'),
+      '-var_stream_map', variants.join(' ')
+    ],
+    output: path.join(outputDir, 'stream_%v.m3u8')
+  };
+};
+
+// CMAF: one fMP4 track per rendition plus one per audio track, each audio
+// track in its own adaptation set, written by the DASH muxer together with HLS
+// media playlists (media_N.m3u8) over the same segments
+const cmafOutput = (outputDir, renditions, audioTracks, { segmentDuration, video }) => ({
+  audioOutputs: audioTracks,
+  options: [
+    // Apple players only accept HEVC in fMP4 under the hvc1 sample entry
+    ...(video.codec === 'libx265' ? ['-tag:v', 'hvc1'] : []),
+    '-f', 'dash',
+    '-seg_duration', String(segmentDuration),
+    '-use_template', '1',
+    '-use_timeline', '1',
+    '-init_seg_name', 'init_$RepresentationID$.m4s',
+    '-media_seg_name', 'chunk_$RepresentationID$_$Number%05d$.m4s',
+    '-adaptation_sets', [
+      'id=0,streams=v',
+      ...audioTracks.map((_, i) => `id=${i + 1},streams=${renditions.length + i}`)
+    ].join(' '),
+    // The DASH manifest labels each audio adaptation set with its language
+    ...audioTracks.flatMap((track, i) => (track.language ? [`-metadata:s:a:${i}`, `language=${track.language}`] : [])),
+    '-hls_playlist', '1'
+  ],
+  output: path.join(outputDir, 'manifest.mpd')
+});
+
+// Text for drawtext's text option inside a filter graph: escaped once for the
+// filter's options and again for the graph
+const escapeFilterText = (text) => text
+  .replace(/[\\':]/g, '\\$&')
+  .replace(/[\\'[\],;]/g, '\\$&');
+
+// Filters burning a planned watermark (see planWatermark) into the source
+// picture, ending in [marked]. The image is input 1; overlay keeps showing
+// its single frame for the whole video.
+const watermarkFilters = ({ opacity, image, text }) => {
+  const filters = [];
+
+  if (image) {
+    filters.push(
+      `[1:v]scale=${image.width}:-1,format=rgba,colorchannelmixer=aa=${opacity}[wm]`,
+      `[0:v][wm]overlay=x=${image.x}:y=${image.y}${text ? '[wmimage]' : '[marked]'}`
+    );
+  }
+  if (text) {
+    filters.push(
+      `${image ? '[wmimage]' : '[0:v]'}drawtext=font=Sans:expansion=none:text=${escapeFilterText(text.value)}:` +
+      `fontsize=${text.fontSize}:fontcolor=white@${opacity}:shadowcolor=black@${opacity}:shadowx=2:shadowy=2:` +
+      `x=${text.x}:y=${text.y}[marked]`
+    );
+  }
+
+  return filters;
+};
+
+// Decode the source once and encode every rendition from a split filter graph,
+// using the codecs, segmenting, keyframe spacing and packaging of an encoding
+// profile. A watermark is burned in before the split, so every rendition shows
+// it at the same relative size and place. Aborting `signal` kills ffmpeg.
+export const encodeLadder = ({
+  inputPath,
+  outputDir,
+  renditions,
+  audioTracks = [],
+  profile,
+  encryption = null,
+  watermark = null,
+  onProgress,
+  signal
+}) => new Promise((resolve, reject) => {
+  const { video, audio, keyframeInterval } = profile;
+  if (signal?.aborted) {
+    reject(signal.reason);
+    return;
+  }
+  if (encryption && profile.packaging === 'cmaf') {
+    reject(new Error('AES-128 encryption is only supported for MPEG-TS packaging'));
+    return;
+  }
+  const muxer = (profile.packaging === 'cmaf' ? cmafOutput : tsOutput)(outputDir, renditions, audioTracks, profile, encryption);
+
+  const splitOutputs = renditions.map((_, i) => `[v${i}]`).join('');
+  const filterGraph = [
+    ...(watermark ? watermarkFilters(watermark) : []),
+    `${watermark ? '[marked]' : '[0:v]'}split=${renditions.length}${splitOutputs}`,
+    ...renditions.map((rendition, i) =>
+      `[v${i}]scale=w=${rendition.width}:h=${rendition.height}[v${i}out]`
+    )
+  ].join(';');
+
+  const videoArgs = renditions.flatMap((rendition, i) => [
+    '-map', `[v${i}out]`,
+    `-c:v:${i}`, video.codec,
+    `-b:v:${i}`, `${rendition.videoBitrate}k`,
+    `-maxrate:v:${i}`, `${rendition.maxrate}k`,
+    `-bufsize:v:${i}`, `${rendition.bufsize}k`
+  ]);
+
+  // Downmix to the profile's channel count, but never upmix. A track measured
+  // for loudness normalization carries its second-pass filter.
+  const audioArgs = muxer.audioOutputs.flatMap((track, i) => [
+    '-map', `0:a:${track.sourceIndex}`,
+    ...(track.loudnorm ? [`-filter:a:${i}`, track.loudnorm] : []),
+    `-c:a:${i}`, audio.codec,
+    `-b:a:${i}`, `${audio.bitrate}k`,
+    `-ac:a:${i}`, String(Math.min(track.channels, audio.channels || 2))
+  ]);
+
+  const command = ffmpeg(inputPath);
+  if (watermark?.image) {
+    command.input(watermark.image.path);
+  }
+
+  command
+    .complexFilter(filterGraph)
+    .outputOptions(
+      ...videoArgs,
+      ...audioArgs,
+      '-preset', video.preset,
+      ...(video.profile ? ['-profile:v', video.profile] : []),
+      '-pix_fmt', 'yuv420p',
+      // Keyframes at a fixed interval that divides the segment duration keep
+      // the renditions aligned and switchable
+      '-force_key_frames', `expr:gte(t,n_forced*${keyframeInterval})`,
+      '-sc_threshold', '0',
+      ...muxer.options
+    )
+    .output(muxer.output)
+    .on('start', (commandLine) => {
+      console.log(`%%% SERVER: FFMPEG command: ${commandLine}`);
+    })
+    .on('progress', (progress) => {
+      console.log(`%%% SERVER: Processing: ${progress.percent ? progress.percent.toFixed(1) : '0'}% done`);
+      onProgress?.(progress);
+    })
+    .on('end', () => {
+      onProgress?.({ percent: 100 });
+      resolve();
+    })
+    .on('error', (err) => {
+      console.error(`%%% SERVER ERROR: FFMPEG error: ${err.message}`);
+      reject(err);
+    });
+
+  // Cancelling the job stops the encode straight away
+  signal?.addEventListener('abort', () => command.kill('SIGKILL'), { once: true });
+  command.run();
+});
+
+// Peak and average bitrate of a media playlist, measured from its segments on
+// disk, and the input to probe for its streams. An fMP4 segment only carries
+// codec levels together with its init segment.
+const measureVariant = async (outputDir, playlistName) => {
+  const playlist = await fs.readFile(path.join(outputDir, playlistName), 'utf8');
+  const lines = playlist.split('\n').map((line) => line.trim());
+
+  let peak = 0;
+  let totalBits = 0;
+  let totalDuration = 0;
+  let firstSegment = null;
+  let initSegment = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    if (lines[i].startsWith('#EXT-X-MAP:')) {
+      initSegment = lines[i].match(/URI="([^"]+)"/)?.[1] || null;
+    }
+    if (!lines[i].startsWith('#EXTINF:')) {
+      continue;
+    }
+    const duration = parseFloat(lines[i].slice('#EXTINF:'.length));
+    const segment = lines[i + 1];
+    const { size } = await fs.stat(path.join(outputDir, segment));
+
+    firstSegment = firstSegment || segment;
+    peak = Math.max(peak, duration > 0 ? (size * 8) / duration : 0);
+    totalBits += size * 8;
+    totalDuration += duration;
+  }
+
+  return {
+    bandwidth: Math.ceil(peak),
+    averageBandwidth: totalDuration > 0 ? Math.ceil(totalBits / totalDuration) : 0,
+    probeTarget: initSegment
+      ? `concat:${path.join(outputDir, initSegment)}|${path.join(outputDir, firstSegment)}`
+      : path.join(outputDir, firstSegment)
+  };
+};
+
+// RFC 6381 codec string for the streams actually present in a segment
+const codecsFor = (metadata) => metadata.streams
+  .map((stream) => {
+    if (stream.codec_name === 'h264') {
+      const profile = AVC_PROFILES[stream.profile] || AVC_PROFILES.Main;
+      return `avc1.${profile}${stream.level.toString(16).padStart(2, '0')}`;
+    }
+    if (stream.codec_name === 'hevc') {
+      // ffprobe reports HEVC levels as 30 x level (e.g. 93 for 3.1)
+      const profileIdc = stream.profile === 'Main 10' ? '2.4' : '1.6';
+      return `hvc1.${profileIdc}.L${stream.level}.B0`;
+    }
+    if (stream.codec_name === 'aac') {
+      return AAC_PROFILES[stream.profile] || AAC_PROFILES.LC;
+    }
+    return null;
+  })
+  .filter(Boolean)
+  .join(',');
+
+// Write the master playlist from what the encoder produced and return the
+// renditions annotated with their measured bandwidth, resolution and codecs,
+// along with the separate audio tracks and the audio-only variant.
+// Separate audio tracks have their own media playlists, referenced as an audio
+// group and counted into every variant's bandwidth. Encrypted segments are
+// probed through ffmpeg's crypto protocol with the key they were written with.
+export const writeMasterPlaylist = async (outputDir, renditions, {
+  packaging = 'ts',
+  audioTracks = [],
+  encryption = null
+} = {}) => {
+  const isCmaf = packaging === 'cmaf';
+  const playlistFor = (index) => (isCmaf ? `media_${index}.m3u8` : `stream_${index}.m3u8`);
+  const probeSegment = (target) => (encryption
+    ? probeVideo(`crypto:${target}`, ['-key', encryption.key, '-iv', encryption.iv])
+    : probeVideo(target));
+
+  // Both muxers number separate audio tracks after the video variants
+  const separateAudio = [];
+  if (hasSeparateAudio(packaging, audioTracks)) {
+    for (const [i, track] of audioTracks.entries()) {
+      const playlist = playlistFor(renditions.length + i);
+      const { bandwidth, averageBandwidth, probeTarget } = await measureVariant(outputDir, playlist);
+      const audioInfo = await probeSegment(probeTarget);
+      separateAudio.push({
+        playlist,
+        codecs: codecsFor(audioInfo),
+        name: track.name,
+        language: track.language,
+        default: track.default,
+        bandwidth,
+        averageBandwidth
+      });
+    }
+  }
+
+  // A variant's bandwidth has to cover the most demanding audio track it may be played with
+  const audioBandwidth = Math.max(0, ...separateAudio.map((track) => track.bandwidth));
+  const audioAverageBandwidth = Math.max(0, ...separateAudio.map((track) => track.averageBandwidth));
+  const audioCodecs = [...new Set(separateAudio.map((track) => track.codecs))];
+
+  const produced = [];
+  let firstSegmentInfo = null;
+
+  for (const [i, rendition] of renditions.entries()) {
+    const playlistName = playlistFor(i);
+    const { bandwidth, averageBandwidth, probeTarget } = await measureVariant(outputDir, playlistName);
+    const segmentInfo = await probeSegment(probeTarget);
+    firstSegmentInfo ??= segmentInfo;
+    const videoStream = segmentInfo.streams.find((stream) => stream.codec_type === 'video');
+
+    produced.push({
+      ...rendition,
+      width: videoStream.width,
+      height: videoStream.height,
+      bandwidth: bandwidth + audioBandwidth,
+      averageBandwidth: averageBandwidth + audioAverageBandwidth,
+      codecs: [codecsFor(segmentInfo), ...audioCodecs].filter(Boolean).join(','),
+      playlist: playlistName
+    });
+  }
+
+  produced.sort((a, b) => a.bandwidth - b.bandwidth);
+
+  // Audio-only listeners get the default separate track, or the extra copy of
+  // a muxed track that follows the video variants
+  let audioOnly = null;
+  if (separateAudio.length > 0) {
+    const track = separateAudio.find((candidate) => candidate.default) || separateAudio[0];
+    audioOnly = {
+      playlist: track.playlist,
+      bandwidth: track.bandwidth,
+      averageBandwidth: track.averageBandwidth,
+      codecs: track.codecs
+    };
+  } else if (audioTracks.length > 0) {
+    const playlist = playlistFor(renditions.length);
+    const { bandwidth, averageBandwidth, probeTarget } = await measureVariant(outputDir, playlist);
+    audioOnly = { playlist, bandwidth, averageBandwidth, codecs: codecsFor(await probeSegment(probeTarget)) };
+  }
+
+  const producedAudio = separateAudio.map(({ bandwidth, averageBandwidth, ...track }) => track);
+  await renderMasterPlaylist(outputDir, { packaging, renditions: produced, audioTracks: producedAudio, audioOnly });
+
+  // Ours replaces the master the DASH muxer wrote from nominal bitrates
+  if (isCmaf) {
+    await fs.rm(path.join(outputDir, 'master.m3u8'), { force: true });
+  }
+
+  return {
+    renditions: produced,
+    audioTracks: producedAudio,
+    audioOnly,
+    // Where the media timeline starts (MPEG-TS output doesn't start at zero);
+    // subtitle segments are mapped onto it
+    timestampOffset: Number(firstSegmentInfo?.format?.start_time) || 0
+  };
+};
+
+// Write the master playlist from measured renditions, with the alternate audio
+// and subtitle tracks as EXT-X-MEDIA groups and the audio-only variant last,
+// which players only switch to when they are told to. The audio-only playlist
+// (audio.m3u8) offers just that variant with the audio group. Runs again
+// whenever the tracks of a processed video change.
+export const renderMasterPlaylist = async (outputDir, {
+  packaging = 'ts',
+  renditions,
+  audioTracks = [],
+  subtitles = [],
+  audioOnly = null
+}) => {
+  // fMP4 segments (EXT-X-MAP) need version 6 or later
+  const header = `#EXTM3U\n#EXT-X-VERSION:${packaging === 'cmaf' ? 7 : 3}\n#EXT-X-INDEPENDENT-SEGMENTS\n`;
+  const audioGroup = audioTracks.map((track) => `#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="audio",NAME="${track.name}",` +
+    `${track.language ? `LANGUAGE="${track.language}",` : ''}` +
+    `DEFAULT=${track.default ? 'YES' : 'NO'},AUTOSELECT=YES,URI="${track.playlist}"\n`).join('');
+  const audioOnlyVariant = audioOnly
+    ? `#EXT-X-STREAM-INF:BANDWIDTH=${audioOnly.bandwidth},AVERAGE-BANDWIDTH=${audioOnly.averageBandwidth},` +
+      `CODECS="${audioOnly.codecs}"${audioTracks.length > 0 ? ',AUDIO="audio"' : ''}\n${audioOnly.playlist}\n`
+    : '';
+
+  let masterPlaylist = header + audioGroup;
+  for (const subtitle of subtitles) {
+    masterPlaylist += `#EXT-X-MEDIA:TYPE=SUBTITLES,GROUP-ID="subs",NAME="${subtitle.name}",` +
+      `LANGUAGE="${subtitle.language}",DEFAULT=NO,AUTOSELECT=YES,URI="${subtitle.playlist}"\n`;
+  }
+
+  for (const rendition of renditions) {
+    masterPlaylist += `#EXT-X-STREAM-INF:BANDWIDTH=${rendition.bandwidth},AVERAGE-BANDWIDTH=${rendition.averageBandwidth},` +
+      `RESOLUTION=${rendition.width}x${rendition.height},CODECS="${rendition.codecs}"` +
+      `${audioTracks.length > 0 ? ',AUDIO="audio"' : ''}` +
+      `${subtitles.length > 0 ? ',SUBTITLES="subs"' : ''}\n${rendition.playlist}\n`;
+  }
+  masterPlaylist += audioOnlyVariant;
+
+  await fs.writeFile(path.join(outputDir, 'playlist.m3u8'), masterPlaylist);
+  if (audioOnly) {
+    await fs.writeFile(path.join(outputDir, 'audio.m3u8'), header + audioGroup + audioOnlyVariant);
+  }
+};
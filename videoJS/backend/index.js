@@ -1,17 +1,118 @@
 import express from 'express';
 import cors from 'cors';
-import { v4 as uuidv4 } from 'uuid';
 import path from 'path';
 import fs from 'fs/promises';
 import { exec } from 'child_process';
-import { fileTypeFromFile } from 'file-type';
 import { fileURLToPath } from 'url';
+import { fileTypeFromBuffer } from 'file-type';
 import { createServer } from 'node:http';
-import { Server } from '@tus/server';
+import { Server, EVENTS } from '@tus/server';
 import { FileStore } from '@tus/file-store';
-import { WebSocketServer } from 'ws';
 import ffmpeg from 'fluent-ffmpeg';
 import { promisify } from 'util';
+import multer from 'multer';
+import { v4 as uuidv4 } from 'uuid';
+import {
+  VIDEO_STATUS,
+  loadCatalog,
+  createVideo,
+  updateVideo,
+  removeVideo,
+  getVideo,
+  findVideo,
+  findVideos,
+  listVideos
+} from './catalog.js';
+import { loadJobQueue, startJobQueue, enqueueJob, cancelJobForVideo, jobEvents } from './jobQueue.js';
+import { attachRealtime, publish, setReplayProvider, setTopicAuthorizer } from './realtime.js';
+import {
+  probeVideo,
+  planRenditions,
+  planAudioTracks,
+  encodeLadder,
+  writeMasterPlaylist,
+  renderMasterPlaylist
+} from './encoder.js';
+import { loadProfiles, hasProfile, getProfile, listProfiles } from './profiles.js';
+import { generatePoster, generateThumbnailTrack } from './thumbnails.js';
+import { setKeysDir, createKeyInfo, readKey, removeKey } from './keys.js';
+import {
+  parseSubtitles,
+  isValidLanguage,
+  writeSubtitleTrack,
+  removeSubtitleTrack,
+  findTextSubtitleStreams,
+  extractSubtitleStream
+} from './subtitles.js';
+import {
+  findSession,
+  ensureSession,
+  startSession,
+  endSession,
+  grantPlayback,
+  hasPlaybackGrant
+} from './sessions.js';
+import {
+  loadUsers,
+  getUser,
+  createUser,
+  validateRegistration,
+  verifyCredentials,
+  toPublicUser
+} from './users.js';
+import { VIDEO_EXTENSIONS, addMissingDuration, checkUploadFilename, checkVideoFile } from './uploadValidation.js';
+import { UNPROCESSED_STATUS, checkLibraryQuery, parseList, queryLibrary } from './library.js';
+import { checkClipRange, cutClip, defaultClipName } from './clips.js';
+import {
+  AUDIO_EXPORT_FORMATS,
+  LOUDNESS_TARGET,
+  audioExportFile,
+  exportAudio,
+  loudnormFilter,
+  measureLoudness
+} from './audio.js';
+import {
+  WATERMARK_IMAGE_TYPES,
+  addWatermarkImage,
+  checkWatermark,
+  checkWatermarkInput,
+  getAccountWatermark,
+  getWatermarkImage,
+  listWatermarkImages,
+  loadWatermarks,
+  normalizeWatermark,
+  planWatermark,
+  removeWatermarkImage,
+  setAccountWatermark,
+  watermarkImagePath
+} from './watermarks.js';
+import {
+  LIVE_STATUS,
+  LIVE_PLAYLIST,
+  attachLiveIngest,
+  checkIngest,
+  createLiveStream,
+  deleteLiveStream,
+  getLiveStream,
+  listLiveStreams,
+  liveEvents,
+  loadLiveStreams,
+  setRecordingHandler,
+  startIngest,
+  stopIngest
+} from './live.js';
+import { loadSigningSecret, createToken, verifyToken, withToken, signManifest } from './signing.js';
+import {
+  loadWatchHistory,
+  checkPosition,
+  recordPosition,
+  getWatchEntry,
+  resumePositionFor,
+  completionPercent,
+  listWatchHistory,
+  removeWatchEntry,
+  removeWatchEntriesForVideo
+} from './watchHistory.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -19,81 +120,395 @@ const __dirname = path.dirname(__filename);
 // Configure directories
 const uploadsDir = path.join(__dirname, 'uploads');
 const tusUploadDir = path.join(uploadsDir, 'tus-uploads');
+const clipsDir = path.join(uploadsDir, 'clips');
+const liveRecordingsDir = path.join(uploadsDir, 'live');
+// Browser recordings remuxed to gain a duration, kept apart from tus's own files
+const remuxedUploadsDir = path.join(uploadsDir, 'remuxed');
 const publicDir = path.join(__dirname, 'public');
 const videoDir = path.join(publicDir, 'videos');
 const hlsDir = path.join(publicDir, 'hls');
+// Downloadable audio of processed videos; only their owners get these
+const audioExportsDir = path.join(publicDir, 'audio');
+const dataDir = path.join(__dirname, 'data');
+const catalogPath = path.join(dataDir, 'catalog.json');
+const jobsPath = path.join(dataDir, 'jobs.json');
+const usersPath = path.join(dataDir, 'users.json');
+const watchHistoryPath = path.join(dataDir, 'watch-history.json');
+const liveStreamsPath = path.join(dataDir, 'live-streams.json');
+const watermarksPath = path.join(dataDir, 'watermarks.json');
+const watermarkImagesDir = path.join(dataDir, 'watermarks');
+const keysDir = path.join(dataDir, 'keys');
+const signingSecretPath = path.join(dataDir, 'url-signing.key');
+const profilesPath = process.env.ENCODING_PROFILES_PATH || path.join(__dirname, 'config', 'encoding-profiles.json');
+
+// Transcoding worker settings
+const transcodeConcurrency = parseInt(process.env.TRANSCODE_CONCURRENCY, 10) || 1;
+const transcodeMaxAttempts = parseInt(process.env.TRANSCODE_MAX_ATTEMPTS, 10) || 3;
+const transcodeRetryDelay = parseInt(process.env.TRANSCODE_RETRY_DELAY_MS, 10) || 5000;
+
+// How long a session that looked a video up may fetch its decryption key
+const playbackGrantTtl = parseInt(process.env.PLAYBACK_GRANT_TTL_MS, 10) || 6 * 60 * 60 * 1000;
+
+// Largest upload the tus server accepts
+const maxUploadSize = parseInt(process.env.MAX_UPLOAD_SIZE_BYTES, 10) || 10 * 1024 * 1024 * 1024;
+
+// Partial uploads nobody finished this long after they were created are
+// swept, checking every uploadSweepInterval
+const uploadExpiration = parseInt(process.env.UPLOAD_EXPIRATION_MS, 10) || 24 * 60 * 60 * 1000;
+const uploadSweepInterval = parseInt(process.env.UPLOAD_SWEEP_INTERVAL_MS, 10) || 60 * 60 * 1000;
+
+// How long signed streaming URLs handed out by the API stay valid
+const signedUrlTtl = parseInt(process.env.SIGNED_URL_TTL_MS, 10) || 6 * 60 * 60 * 1000;
 
 // Create directories if they don't exist
 const createDirs = async () => {
   try {
     await fs.mkdir(uploadsDir, { recursive: true });
     await fs.mkdir(tusUploadDir, { recursive: true });
+    await fs.mkdir(clipsDir, { recursive: true });
+    await fs.mkdir(liveRecordingsDir, { recursive: true });
+    await fs.mkdir(remuxedUploadsDir, { recursive: true });
     await fs.mkdir(publicDir, { recursive: true });
     await fs.mkdir(videoDir, { recursive: true });
     await fs.mkdir(hlsDir, { recursive: true });
+    await fs.mkdir(audioExportsDir, { recursive: true });
+    await fs.mkdir(dataDir, { recursive: true });
     console.log('%%% SERVER: All directories created successfully');
   } catch (error) {
     console.error('%%% SERVER ERROR: Failed to create directories:', error);
   }
 };
 
-// Process video to HLS
-const processVideo = async (inputPath, videoId) => {
+// Process video to an adaptive HLS ladder described by an encoding profile,
+// decoding the source only once, optionally normalizing its loudness and
+// encrypting the segments. Aborting `signal` stops the encode and skips the
+// steps after it. `duration` overrides the probed one when the caller knows better.
+const processVideo = async (inputPath, videoId, profile, {
+  encrypt = false,
+  normalize = false,
+  duration: knownDuration,
+  onProgress,
+  signal
+} = {}) => {
   const outputDir = path.join(hlsDir, videoId);
   await fs.mkdir(outputDir, { recursive: true });
-  
+
   console.log(`%%% SERVER: Starting HLS conversion for video: ${videoId}`);
   console.log(`%%% SERVER: Input path: ${inputPath}`);
   console.log(`%%% SERVER: Output directory: ${outputDir}`);
-  
+
+  const metadata = await probeVideo(inputPath);
+  const videoStream = metadata.streams.find((stream) => stream.codec_type === 'video');
+  if (!videoStream) {
+    throw new Error('Source has no video stream');
+  }
+  const audioTracks = planAudioTracks(metadata);
+  const loudness = normalize ? await normalizeLoudness(inputPath, audioTracks, { signal }) : null;
+
+  const renditions = planRenditions(profile.renditions, videoStream);
+  const renditionNames = renditions.map(({ name }) => name);
+  // The container of a clip can run on past its picture with a subtitle cue
+  const duration = knownDuration ?? metadata.format?.duration ?? null;
+  const video = await updateVideo(videoId, {
+    duration,
+    width: videoStream.width,
+    height: videoStream.height
+  });
+
+  // The video's own watermark settings, or else its owner's
+  const watermark = planWatermark(video.watermark ?? getAccountWatermark(video.ownerId), videoStream, {
+    uploader: getUser(video.ownerId)?.username,
+    createdAt: video.createdAt
+  });
+
+  // A fresh key per run; the playlist points players at the key endpoint
+  const encryption = encrypt ? await createKeyInfo(videoId, keyUrlFor(videoId)) : null;
+
+  console.log(`%%% SERVER: Encoding ${renditionNames.join(', ')} and ${audioTracks.length} audio tracks with profile "${profile.name}" in a single pass${watermark ? ' with a watermark' : ''} (${videoId})`);
+  await encodeLadder({
+    inputPath,
+    outputDir,
+    renditions,
+    audioTracks,
+    profile,
+    encryption,
+    watermark,
+    // Every rendition advances together in a single pass
+    onProgress: (progress) => onProgress?.(progress, { renditions: renditionNames }),
+    signal
+  });
+  signal?.throwIfAborted();
+
+  const {
+    renditions: producedRenditions,
+    audioTracks: producedAudioTracks,
+    audioOnly,
+    timestampOffset
+  } = await writeMasterPlaylist(outputDir, renditions, {
+    packaging: profile.packaging,
+    audioTracks,
+    encryption
+  });
+  await updateVideo(videoId, {
+    renditions: producedRenditions,
+    audioTracks: producedAudioTracks,
+    audioOnly,
+    loudness,
+    timestampOffset,
+    packaging: profile.packaging
+  });
+
+  await extractEmbeddedSubtitles(inputPath, videoId, metadata);
+  signal?.throwIfAborted();
+
+  await generateImages(inputPath, videoId, {
+    duration: Number(duration) || 0,
+    // Poster at the size of the best rendition
+    ...producedRenditions[producedRenditions.length - 1]
+  });
+  signal?.throwIfAborted();
+
+  await generateAudioExports(inputPath, getVideo(videoId), {
+    track: audioTracks.find((track) => track.default) || audioTracks[0],
+    bitrate: profile.audio.bitrate
+  });
+
+  console.log(`%%% SERVER: Successfully created HLS stream for ${videoId}`);
+  return videoId;
+};
+
+// Poster, sprite sheets and WebVTT thumbnails track next to the HLS output.
+// The video stays playable without them, so a failure here isn't fatal.
+const generateImages = async (inputPath, videoId, { duration, width, height }) => {
+  const outputDir = path.join(hlsDir, videoId);
+
   try {
-    // Create a simple single-quality HLS stream first to ensure basic functionality
-    console.log(`%%% SERVER: Creating standard quality HLS stream`);
-    
-    await new Promise((resolve, reject) => {
-      ffmpeg(inputPath)
-        .outputOptions([
-          '-c:v libx264',          // Video codec
-          '-crf 23',               // Constant Rate Factor (quality)
-          '-preset fast',          // Encoding speed/compression ratio
-          '-c:a aac',              // Audio codec
-          '-b:a 128k',             // Audio bitrate
-          '-ac 2',                 // Audio channels
-          '-hls_time 4',           // HLS segment duration in seconds
-          '-hls_list_size 0',      // Keep all segments in the playlist
-          '-hls_segment_filename', // Segment filename format
-          path.join(outputDir, 'segment_%03d.ts'),
-          '-f hls'                 // Format
-        ])
-        .output(path.join(outputDir, 'playlist.m3u8'))
-        .on('start', (commandLine) => {
-          console.log(`%%% SERVER: FFMPEG command: ${commandLine}`);
-        })
-        .on('progress', (progress) => {
-          console.log(`%%% SERVER: Processing: ${progress.percent ? progress.percent.toFixed(1) : '0'}% done`);
-        })
-        .on('end', () => {
-          console.log(`%%% SERVER: HLS conversion complete for video: ${videoId}`);
-          resolve(videoId);
-        })
-        .on('error', (err) => {
-          console.error(`%%% SERVER ERROR: FFMPEG error: ${err.message}`);
-          reject(err);
-        })
-        .run();
-    });
-    
-    console.log(`%%% SERVER: Successfully created HLS stream for ${videoId}`);
-    return videoId;
-    
+    const poster = await generatePoster({ inputPath, outputDir, duration, width, height });
+    const thumbnails = duration > 0
+      ? await generateThumbnailTrack({ inputPath, outputDir, duration, width, height })
+      : null;
+
+    await updateVideo(videoId, { poster, thumbnails });
+    console.log(`%%% SERVER: Generated poster and ${thumbnails?.sheets ?? 0} sprite sheets for ${videoId}`);
   } catch (error) {
-    console.error(`%%% SERVER ERROR: Failed to process video: ${error.message}`);
-    throw error;
+    console.error(`%%% SERVER ERROR: Failed to generate preview images for ${videoId}:`, error.message);
+    await updateVideo(videoId, { poster: null, thumbnails: null });
+  }
+};
+
+// First pass of EBU R128 normalization: measure each audio track and give it
+// the filter the encode applies. Returns what was measured, per track; silent
+// tracks are left alone.
+const normalizeLoudness = async (inputPath, audioTracks, { signal }) => {
+  const tracks = [];
+  for (const track of audioTracks) {
+    const measured = await measureLoudness(inputPath, track.sourceIndex, { signal });
+    if (measured) {
+      track.loudnorm = loudnormFilter(measured);
+    }
+    tracks.push({ name: track.name, language: track.language, measured });
+    console.log(`%%% SERVER: Audio track "${track.name}" measures ${measured ? `${measured.integrated} LUFS` : 'as silent'}`);
+  }
+  return { target: LOUDNESS_TARGET, tracks };
+};
+
+// M4A and MP3 files of a video's default audio track, for listening to it as a
+// podcast. Like the preview images they are optional, so failures are only logged.
+const generateAudioExports = async (inputPath, video, { track, bitrate }) => {
+  const outputDir = path.join(audioExportsDir, video.id);
+  await fs.rm(outputDir, { recursive: true, force: true });
+  if (!track) {
+    await updateVideo(video.id, { audioExports: [] });
+    return;
+  }
+  await fs.mkdir(outputDir, { recursive: true });
+
+  const audioExports = [];
+  for (const format of Object.keys(AUDIO_EXPORT_FORMATS)) {
+    try {
+      const outputPath = await exportAudio({
+        inputPath,
+        outputDir,
+        track,
+        format,
+        bitrate,
+        filter: track.loudnorm,
+        title: video.sourceFilename || video.id
+      });
+      const { size } = await fs.stat(outputPath);
+      audioExports.push({ format, size });
+    } catch (error) {
+      console.error(`%%% SERVER ERROR: Failed to export ${format} audio of ${video.id}:`, error.message);
+    }
+  }
+
+  await updateVideo(video.id, { audioExports });
+  console.log(`%%% SERVER: Exported ${audioExports.map(({ format }) => format).join(', ') || 'no'} audio for ${video.id}`);
+};
+
+// Turn the source's text subtitle streams into subtitle tracks. Like the
+// preview images they are optional, so a stream that fails is only logged.
+const extractEmbeddedSubtitles = async (inputPath, videoId, metadata) => {
+  const outputDir = path.join(hlsDir, videoId);
+
+  // Tracks extracted by an earlier run are replaced; uploaded ones are kept
+  for (const subtitle of getVideo(videoId).subtitles.filter((entry) => entry.source === 'embedded')) {
+    await deleteSubtitleTrack(getVideo(videoId), subtitle.id);
+  }
+
+  for (const stream of findTextSubtitleStreams(metadata)) {
+    try {
+      const cues = await extractSubtitleStream({ inputPath, outputDir, stream });
+      if (cues.length === 0) {
+        continue;
+      }
+
+      const language = isValidLanguage(stream.tags?.language) ? stream.tags.language : 'und';
+      await addSubtitleTrack(getVideo(videoId), {
+        language,
+        name: stream.tags?.title || language,
+        source: 'embedded',
+        cues
+      });
+      console.log(`%%% SERVER: Extracted ${language} subtitles (${cues.length} cues) from stream #${stream.index} of ${videoId}`);
+    } catch (error) {
+      console.error(`%%% SERVER ERROR: Failed to extract subtitle stream #${stream.index} of ${videoId}:`, error.message);
+    }
+  }
+
+  await refreshMasterPlaylist(getVideo(videoId));
+};
+
+// Write a subtitle track into a video's HLS output and record it in the
+// catalog. Several tracks can share a language; later ones get a suffix.
+const addSubtitleTrack = async (video, { language, name, source, cues }) => {
+  const baseId = language.toLowerCase();
+  const takenIds = new Set(video.subtitles.map(({ id }) => id));
+  let subtitleId = baseId;
+  for (let n = 2; takenIds.has(subtitleId); n++) {
+    subtitleId = `${baseId}-${n}`;
+  }
+
+  const track = await writeSubtitleTrack({
+    outputDir: path.join(hlsDir, video.id),
+    subtitleId,
+    cues,
+    duration: video.duration,
+    timestampOffset: video.timestampOffset ?? 0
+  });
+
+  const subtitle = {
+    id: subtitleId,
+    language,
+    name,
+    source,
+    ...track,
+    createdAt: new Date().toISOString()
+  };
+  await updateVideo(video.id, { subtitles: [...video.subtitles, subtitle] });
+  return subtitle;
+};
+
+const deleteSubtitleTrack = async (video, subtitleId) => {
+  await removeSubtitleTrack(path.join(hlsDir, video.id), subtitleId);
+  await updateVideo(video.id, { subtitles: video.subtitles.filter(({ id }) => id !== subtitleId) });
+};
+
+// Rewrite a processed video's master playlist so its SUBTITLES group matches
+// the catalog
+const refreshMasterPlaylist = (video) => renderMasterPlaylist(path.join(hlsDir, video.id), {
+  packaging: video.packaging,
+  renditions: video.renditions,
+  audioTracks: video.audioTracks,
+  subtitles: video.subtitles,
+  audioOnly: video.audioOnly
+});
+
+const keyUrlFor = (videoId) => `/api/keys/${videoId}`;
+
+// Signed, expiring playback URLs of a processed video. CMAF output can be played
+// through either the HLS playlist or the DASH manifest, and the audio on its
+// own through the audio-only playlist.
+const mediaUrlsFor = (video) => {
+  if (video.status !== VIDEO_STATUS.PROCESSED) {
+    return { hlsUrl: null, dashUrl: null, audioUrl: null, posterUrl: null, thumbnailsUrl: null, subtitles: [] };
+  }
+
+  const token = createToken(video.id, signedUrlTtl);
+  const signedUrlFor = (file) => `/hls/${video.id}/${withToken(file, token)}`;
+
+  return {
+    hlsUrl: signedUrlFor('playlist.m3u8'),
+    dashUrl: video.packaging === 'cmaf' ? signedUrlFor('manifest.mpd') : null,
+    audioUrl: video.audioOnly ? signedUrlFor('audio.m3u8') : null,
+    posterUrl: video.poster ? signedUrlFor(video.poster) : null,
+    thumbnailsUrl: video.thumbnails ? signedUrlFor(video.thumbnails.track) : null,
+    // Whole-file WebVTT per track, for players that don't read the HLS groups
+    subtitles: video.subtitles.map((subtitle) => ({ ...subtitle, url: signedUrlFor(subtitle.file) }))
+  };
+};
+
+// Shape a catalog entry for API responses
+const toVideoResponse = (video) => ({
+  videoId: video.id,
+  ...video,
+  ...mediaUrlsFor(video)
+});
+
+// Shape a live stream for its owner: where to push media and, once the first
+// segments are out, the signed live playlist
+const toLiveStreamResponse = (stream) => {
+  const ingestPath = `/api/live/${stream.id}/ingest?key=${encodeURIComponent(stream.key)}`;
+  const playable = stream.status === LIVE_STATUS.LIVE;
+
+  return {
+    streamId: stream.id,
+    ...stream,
+    ingestPath,
+    hlsUrl: playable ? `/hls/${stream.id}/${withToken(LIVE_PLAYLIST, createToken(stream.id, signedUrlTtl))}` : null
+  };
+};
+
+// Register HLS output produced before the catalog existed
+const importLegacyHlsOutput = async () => {
+  const entries = await fs.readdir(hlsDir, { withFileTypes: true }).catch(() => []);
+
+  for (const entry of entries) {
+    if (!entry.isDirectory() || getVideo(entry.name)) {
+      continue;
+    }
+
+    const playlistPath = path.join(hlsDir, entry.name, 'playlist.m3u8');
+    const stats = await fs.stat(playlistPath).catch(() => null);
+    if (!stats) {
+      continue;
+    }
+
+    await createVideo({
+      id: entry.name,
+      source: 'legacy',
+      status: VIDEO_STATUS.PROCESSED,
+      createdAt: stats.mtime.toISOString(),
+      processedAt: stats.mtime.toISOString()
+    });
+    console.log(`%%% SERVER: Imported legacy HLS output into catalog: ${entry.name}`);
   }
 };
 
 // Make sure directories exist before starting server
 await createDirs();
+await setKeysDir(keysDir);
+await loadSigningSecret(signingSecretPath);
+
+// Load encoding profiles and the persistent video catalog
+await loadProfiles(profilesPath);
+await loadUsers(usersPath);
+await loadCatalog(catalogPath);
+await importLegacyHlsOutput();
+await loadJobQueue(jobsPath);
+await loadWatchHistory(watchHistoryPath);
+await loadLiveStreams(liveStreamsPath, { hlsDir, recordingsDir: liveRecordingsDir });
+await loadWatermarks(watermarksPath, { dir: watermarkImagesDir });
 
 // Check if the TUS uploads directory exists and has proper permissions
 try {
@@ -148,6 +563,7 @@ const corsOptions = {
     'Upload-Metadata',
     'Upload-Defer-Length',
     'Upload-Concat',
+    'Upload-Expires',
     'Location',
     'Content-Type'
   ],
@@ -158,103 +574,160 @@ app.use(cors(corsOptions));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Create WebSocket server
-const wss = new WebSocketServer({ noServer: true });
-
-// Store WebSocket connections
-const clients = new Map();
-
-// Handle WebSocket upgrade
-server.on('upgrade', (request, socket, head) => {
-  if (request.url === '/ws') {
-    console.log('%%% SERVER: WebSocket upgrade request received');
-    wss.handleUpgrade(request, socket, head, (ws) => {
-      const clientId = uuidv4();
-      clients.set(clientId, {
-        id: clientId,
-        ws,
-        isAlive: true,
-        timestamp: Date.now()
-      });
+// The signed-in user behind a request, if any
+const currentUser = (req) => {
+  const session = findSession(req);
+  return session?.userId ? getUser(session.userId) : null;
+};
 
-      console.log(`%%% SERVER: WebSocket client connected (ID: ${clientId}), total clients: ${clients.size}`);
+// Reject requests without a signed-in user; routes find the user on req.user
+const requireUser = (req, res, next) => {
+  const user = currentUser(req);
+  if (!user) {
+    return res.status(401).json({ error: 'Sign in required' });
+  }
+  req.user = user;
+  next();
+};
 
-      // Setup ping-pong for connection health check
-      ws.on('pong', () => {
-        const client = clients.get(clientId);
-        if (client) {
-          client.isAlive = true;
-        }
-      });
+const isOwner = (user, video) => Boolean(user && video && video.ownerId === user.id);
 
-      // Handle client messages
-      ws.on('message', (message) => {
-        try {
-          const data = JSON.parse(message);
-          console.log(`%%% SERVER: Received message from client ${clientId}:`, data);
-          
-          // Handle different message types here if needed
-        } catch (error) {
-          console.error(`%%% SERVER ERROR: Invalid message from client ${clientId}:`, error);
-        }
-      });
+// Accept WebSocket clients of signed-in users; they subscribe to the videos and
+// uploads they care about
+attachRealtime(server, {
+  path: '/ws',
+  authenticate: (request) => currentUser(request)?.id
+});
 
-      ws.on('error', (error) => {
-        console.error(`%%% SERVER ERROR: WebSocket error for client ${clientId}:`, error);
-      });
+// Broadcasters push live media over WebSocket with their stream key
+attachLiveIngest(server);
 
-      ws.on('close', () => {
-        console.log(`%%% SERVER: WebSocket client disconnected (ID: ${clientId})`);
-        clients.delete(clientId);
-      });
+// Latest progress per video and per upload, replayed to clients that (re)subscribe
+const latestTranscodeProgress = new Map();
+const latestUploadProgress = new Map();
 
-      wss.emit('connection', ws, request);
-    });
+const publishVideoEvent = (videoId, message) => {
+  publish(`video:${videoId}`, message);
+};
+
+// Replay the last known state of a topic
+setReplayProvider((topic) => {
+  const [kind, id] = topic.split(':');
+
+  if (kind === 'video') {
+    const video = getVideo(id);
+    if (!video) {
+      return [];
+    }
+    const messages = [{ type: 'video-state', video: toVideoResponse(video) }];
+    if (latestTranscodeProgress.has(id)) {
+      messages.push(latestTranscodeProgress.get(id));
+    }
+    return messages;
   }
-});
 
-// Ping all clients every 30 seconds to keep connections alive
-const pingInterval = setInterval(() => {
-  clients.forEach((client, id) => {
-    if (client.isAlive === false) {
-      console.log(`%%% SERVER: Terminating inactive client: ${id}`);
-      client.ws.terminate();
-      clients.delete(id);
-      return;
+  if (kind === 'upload') {
+    const video = findVideo((entry) => entry.tusUploadId === id);
+    if (video) {
+      return [{ type: 'upload-queued', uploadId: id, videoId: video.id }];
     }
-    
-    client.isAlive = false;
-    client.ws.ping();
-  });
-}, 30000);
+    return latestUploadProgress.has(id) ? [latestUploadProgress.get(id)] : [];
+  }
+
+  if (kind === 'live') {
+    const stream = getLiveStream(id);
+    return stream ? [{ type: 'live-state', stream: toLiveStreamResponse(stream) }] : [];
+  }
 
-// Clean up interval on server close
-server.on('close', () => {
-  clearInterval(pingInterval);
+  return [];
 });
 
-// Function to broadcast video URL to all connected clients
-const broadcastVideoUrl = (videoUrl, lessonId) => {
-  const message = JSON.stringify({
-    type: 'video_ready',
-    videoUrl,
-    lessonId
-  });
+// Users only follow their own videos, uploads and live streams
+setTopicAuthorizer(async (userId, topic) => {
+  const [kind, id] = topic.split(':');
+
+  if (kind === 'video') {
+    return getVideo(id)?.ownerId === userId;
+  }
 
-  clients.forEach((client) => {
-    if (client.ws.readyState === 1) { // 1 = WebSocket.OPEN
-      client.ws.send(message);
+  if (kind === 'upload') {
+    const video = findVideo((entry) => entry.tusUploadId === id);
+    if (video) {
+      return video.ownerId === userId;
     }
-  });
+    // Still uploading: the owner is recorded in the upload's metadata
+    const upload = await tusStore.getUpload(id).catch(() => null);
+    return upload?.metadata?.ownerId === userId;
+  }
+
+  if (kind === 'live') {
+    return getLiveStream(id)?.ownerId === userId;
+  }
+
+  return true;
+});
+
+// AES-128 segment encryption is an HLS (MPEG-TS) feature
+const checkEncryption = (profileName, encrypt) => {
+  const profile = getProfile(profileName);
+  if (encrypt && profile.packaging !== 'ts') {
+    return `The ${profile.name} profile uses ${profile.packaging} packaging, which doesn't support encryption`;
+  }
+  return null;
 };
 
+// Unfinished uploads expire (tus expiration extension) and can be cancelled
+// by their uploader (termination extension)
+const tusStore = new FileStore({
+  directory: tusUploadDir,
+  createIfNotExists: true,
+  expirationPeriodInMilliseconds: uploadExpiration
+});
+
 // Configure TUS server with simplified options
 const tusServer = new Server({
   path: '/uploads',
-  datastore: new FileStore({
-    directory: tusUploadDir,
-    createIfNotExists: true
-  })
+  datastore: tusStore,
+  // The session cookie identifies the uploader
+  allowedOrigins: corsOptions.origin,
+  allowedCredentials: true,
+  // Checked against Upload-Length on creation and against what arrives for
+  // uploads that defer their length
+  maxSize: maxUploadSize,
+  // A finished upload belongs to a video, which is deleted through the API
+  disableTerminationForFinishedUploads: true,
+  // Only the uploader may resume, inspect or terminate an upload
+  async onIncomingRequest(req, uploadId) {
+    if (req.method === 'POST') {
+      return;
+    }
+    const upload = await tusStore.getUpload(uploadId).catch(() => null);
+    if (upload && upload.metadata?.ownerId !== currentUser(req)?.id) {
+      throw { status_code: 403, body: 'Not allowed to access this upload\n' };
+    }
+  },
+  // Reject anonymous uploads, files that aren't named like a video, uploads
+  // asking for an encoding profile that doesn't exist, or for encryption the
+  // profile can't do. The owner is recorded in the upload metadata.
+  async onUploadCreate(req, upload) {
+    const user = currentUser(req);
+    if (!user) {
+      throw { status_code: 401, body: 'Sign in required\n' };
+    }
+    const filenameError = checkUploadFilename(upload.metadata?.filename);
+    if (filenameError) {
+      throw { status_code: 400, body: `${filenameError}\n` };
+    }
+    const profile = upload.metadata?.profile;
+    if (profile && !hasProfile(profile)) {
+      throw { status_code: 400, body: `Unknown encoding profile: ${profile}\n` };
+    }
+    const encryptionError = checkEncryption(profile, upload.metadata?.encrypt === 'true');
+    if (encryptionError) {
+      throw { status_code: 400, body: `${encryptionError}\n` };
+    }
+    return { metadata: { ...upload.metadata, ownerId: user.id } };
+  }
 });
 
 console.log('%%% SERVER: TUS Server instance created:', !!tusServer);
@@ -286,160 +759,49 @@ tusServer.on('upload-complete', (event) => {
   console.log('%%% SERVER: TUS upload-complete event:', event.file.id);
 });
 
-// Handle video processing after upload
+// Queue transcoding once the upload has been fully received
 console.log('%%% SERVER: Attaching upload-finish listener...');
-tusServer.on('upload-finish', async (event) => {
-  console.log("%%% SERVER: 'upload-finish' event handler EXECUTED! Event data:", event); 
-  let videoId;
+tusServer.on(EVENTS.POST_FINISH, async (req, res, upload) => {
+  console.log("%%% SERVER: 'upload-finish' event triggered for upload:", upload.id);
   try {
-    console.log("%%% SERVER: 'upload-finish' event triggered.");
-    const { file } = event;
-    if (!file || !file.path) {
-      console.error("%%% SERVER ERROR: 'upload-finish' event received, but file data is missing:", event);
+    if (!upload.storage?.path) {
+      console.error("%%% SERVER ERROR: 'upload-finish' event received, but file data is missing:", upload);
       return; // Stop processing if file info is bad
     }
-    console.log("%%% SERVER: Processing file:", file.path);
-    videoId = uuidv4(); // Assign videoId early for error reporting
-    const outputDir = path.join(hlsDir, videoId);
-    await fs.mkdir(outputDir, { recursive: true });
-
-    // Define quality presets optimized for speed
-    const qualities = [
-      { name: '360p', height: 360, bitrate: '800k', preset: 'ultrafast' },
-      { name: '480p', height: 480, bitrate: '1500k', preset: 'ultrafast' },
-      { name: '720p', height: 720, bitrate: '2500k', preset: 'ultrafast' }
-    ];
-
-    // Get video dimensions
-    const metadata = await new Promise((resolve, reject) => {
-      ffmpeg.ffprobe(file.path, (err, metadata) => {
-        if (err) reject(err);
-        else resolve(metadata);
-      });
+    await enqueueUpload({
+      id: upload.id,
+      path: upload.storage.path,
+      metadata: upload.metadata
     });
-
-    const { width, height } = metadata.streams[0];
-    const aspectRatio = width / height;
-
-    // Create master playlist
-    let masterPlaylist = '#EXTM3U\n#EXT-X-VERSION:3\n';
-
-    // Generate master playlist entries first
-    for (const quality of qualities) {
-      const targetHeight = Math.min(quality.height, height);
-      const targetWidth = Math.round(targetHeight * aspectRatio);
-      masterPlaylist += `#EXT-X-STREAM-INF:BANDWIDTH=${parseInt(quality.bitrate)}000,RESOLUTION=${targetWidth}x${targetHeight}\n${quality.name}.m3u8\n`;
-    }
-
-    // Write the master playlist
-    const masterPlaylistPath = path.join(outputDir, 'playlist.m3u8');
-    await fs.writeFile(masterPlaylistPath, masterPlaylist);
-    console.log('Master playlist created:', videoId);
-
-    let processingStartedNotified = false; // Flag to ensure notification is sent only once
-
-    // Process each quality variant sequentially to avoid overload
-    for (const quality of qualities) {
-      const targetHeight = Math.min(quality.height, height);
-      const targetWidth = Math.round(targetHeight * aspectRatio);
-      const outputPath = path.join(outputDir, `${quality.name}.m3u8`);
-      console.log(`%%% SERVER: Starting processing for ${quality.name} (${videoId})`);
-
-      // Process video for this quality
-      const processPromise = new Promise((resolve, reject) => {
-        ffmpeg(file.path)
-          .outputOptions([
-            '-profile:v baseline',
-            '-level 3.0',
-            '-start_number 0',
-            '-hls_time 2', // Reduced from 4 to 2 seconds for faster loading
-            '-hls_list_size 0',
-            '-hls_segment_size 500000', // ~500KB segments
-            '-hls_flags independent_segments',
-            '-f hls'
-          ])
-          .output(outputPath)
-          .on('start', (commandLine) => {
-            console.log(`%%% SERVER: FFMPEG command: ${commandLine}`);
-          })
-          .on('progress', (progress) => {
-            console.log(`%%% SERVER: Processing: ${progress.percent ? progress.percent.toFixed(1) : '0'}% done`);
-          })
-          .on('end', () => {
-            console.log(`%%% SERVER: HLS conversion complete for video: ${videoId}`);
-            resolve(videoId);
-          })
-          .on('error', (err) => {
-            console.error(`%%% SERVER ERROR: FFMPEG error: ${err.message}`);
-            reject(err);
-          })
-          .run();
-      });
-
-      // Send notification after starting the first variant's processing
-      if (!processingStartedNotified) {
-        const hlsUrl = `/hls/${videoId}/playlist.m3u8`;
-        wss.clients.forEach((client) => {
-          if (client.readyState === WebSocket.OPEN) {
-            // Reuse 'videoProcessed' type, frontend will handle it
-            client.send(JSON.stringify({
-              type: 'videoProcessed',
-              videoId,
-              hlsUrl
-            }));
-          }
-        });
-        console.log('Sent videoProcessed notification early:', videoId);
-        processingStartedNotified = true;
-      }
-
-      // Await completion of this quality before starting the next
-      await processPromise;
-      console.log(`%%% SERVER: Finished processing for ${quality.name} (${videoId})`);
-    }
-
-    console.log('All video processing variants completed for:', videoId);
-
-    // Clean up original file only after successful processing of all variants
-    try {
-      await fs.unlink(file.path);
-      console.log('Removed original uploaded file:', file.path);
-    } catch (unlinkError) {
-      console.error('Error removing original file:', unlinkError);
-    }
-
   } catch (error) {
     console.error('%%% SERVER ERROR: Error in upload-finish handler:', error);
-    // Notify WebSocket clients about the error
-    // Ensure videoId is defined or provide a default
-    const currentVideoId = typeof videoId !== 'undefined' ? videoId : 'unknown';
-    wss.clients.forEach((client) => {
-      if (client.readyState === WebSocket.OPEN) {
-        client.send(JSON.stringify({
-          type: 'videoError',
-          videoId: currentVideoId,
-          error: error.message
-        }));
-      }
-    });
   }
 });
 
-// Log upload progress
-tusServer.on('upload-progress', (event) => {
-  const { bytesReceived, bytesTotal } = event;
-  const progress = ((bytesReceived / bytesTotal) * 100).toFixed(2);
-  console.log(`Upload progress: ${progress}% (${bytesReceived}/${bytesTotal} bytes)`);
-  
-  // Notify clients through WebSocket
-  wss.clients.forEach(client => {
-    if (client.ws.readyState === WebSocket.OPEN) {
-      client.ws.send(JSON.stringify({
-        type: 'upload-progress',
-        progress: progress
-      }));
-    }
-  });
+// Log upload progress and report it to clients following the upload
+tusServer.on(EVENTS.POST_RECEIVE, (req, upload) => {
+  const { id, offset, size } = upload;
+  if (!size) {
+    return; // Length deferred, nothing meaningful to report yet
+  }
+
+  const progress = ((offset / size) * 100).toFixed(2);
+  console.log(`Upload progress: ${progress}% (${offset}/${size} bytes)`);
+
+  const message = {
+    type: 'upload-progress',
+    uploadId: id,
+    progress: progress
+  };
+  latestUploadProgress.set(id, message);
+  publish(`upload:${id}`, message);
+});
+
+// The uploader cancelled an unfinished upload; the store already removed it
+tusServer.on(EVENTS.POST_TERMINATE, (req, res, id) => {
+  console.log(`%%% SERVER: Upload ${id} was cancelled`);
+  latestUploadProgress.delete(id);
+  publish(`upload:${id}`, { type: 'upload-cancelled', uploadId: id });
 });
 
 tusServer.on('error', (error) => {
@@ -462,8 +824,8 @@ app.use('/uploads', (req, res) => {
   tusServer.handle(req, res);
 });
 
-// Serve static files with CORS headers
-const serveStaticWithCORS = (directory, route) => {
+// Serve static files with CORS headers, behind any access checks
+const serveStaticWithCORS = (directory, route, ...guards) => {
   app.use(route, (req, res, next) => {
     // Add CORS headers for all static files
     res.setHeader('Access-Control-Allow-Origin', 'http://localhost:5173');
@@ -476,212 +838,170 @@ const serveStaticWithCORS = (directory, route) => {
     }
     
     next();
-  }, express.static(directory));
+  }, ...guards, express.static(directory));
+};
+
+const safeDecode = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return '';
+  }
+};
+
+// Stream files of a video are only served with a valid, unexpired token for
+// that video (`?token=` from the API)
+const requireSignedUrl = (req, res, next) => {
+  const segments = safeDecode(req.path).split('/');
+  const videoId = segments[1];
+
+  // A token only covers its own video's directory
+  if (!videoId || segments.includes('..') || !verifyToken(videoId, req.query.token)) {
+    return res.status(403).json({ error: 'Invalid or expired URL' });
+  }
+  next();
+};
+
+const MANIFEST_TYPES = {
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.mpd': 'application/dash+xml',
+  '.vtt': 'text/vtt'
+};
+
+// Rewrite manifests on the fly so the playlists, segments and images they
+// reference carry the same token
+const signManifests = async (req, res, next) => {
+  const extension = path.extname(req.path);
+  const filePath = path.join(hlsDir, safeDecode(req.path));
+
+  if (!MANIFEST_TYPES[extension] || !filePath.startsWith(hlsDir + path.sep)) {
+    return next();
+  }
+
+  try {
+    const content = await fs.readFile(filePath, 'utf8');
+    res.set({
+      'Content-Type': MANIFEST_TYPES[extension],
+      'Cache-Control': 'private, no-store'
+    });
+    res.send(signManifest(content, extension, req.query.token));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return next();
+    }
+    console.error(`%%% SERVER ERROR: Failed to sign manifest ${req.path}:`, error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Only signed streaming output is public; raw uploads and the rest of
+// publicDir are not served
+serveStaticWithCORS(hlsDir, '/hls', requireSignedUrl, signManifests);
+
+// Drop an upload that failed validation and tell the uploader why
+const rejectUpload = async (id, filePath, reason) => {
+  console.log(`%%% SERVER: Rejected upload ${id}: ${reason}`);
+  await fs.rm(filePath, { force: true });
+  await fs.rm(`${filePath}.json`, { force: true });
+
+  const message = { type: 'upload-rejected', uploadId: id, error: reason };
+  latestUploadProgress.set(id, message);
+  publish(`upload:${id}`, message);
 };
 
-// Serve static files with CORS headers
-serveStaticWithCORS(uploadsDir, '/uploads');
-serveStaticWithCORS(videoDir, '/videos');
-serveStaticWithCORS(hlsDir, '/hls');
-serveStaticWithCORS(publicDir, '/');
+// Uploads being checked right now; the periodic scan mustn't pick them up twice
+const uploadsInValidation = new Set();
+
+// Check a finished tus upload, then catalog it and hand it to the job queue
+// (once per upload)
+const enqueueUpload = async ({ id, path: filePath, metadata }) => {
+  const existingVideo = findVideo((video) => video.tusUploadId === id);
+  if (existingVideo || uploadsInValidation.has(id)) {
+    return existingVideo;
+  }
+
+  // A recording without a duration is processed from a remuxed copy
+  let sourcePath = filePath;
+  uploadsInValidation.add(id);
+  try {
+    sourcePath = await addMissingDuration(filePath, path.join(remuxedUploadsDir, `${id}.mkv`));
+    const problem = await checkVideoFile(sourcePath);
+    if (problem) {
+      await rejectUpload(id, filePath, problem);
+      await fs.rm(path.join(remuxedUploadsDir, `${id}.mkv`), { force: true });
+      return null;
+    }
+  } finally {
+    uploadsInValidation.delete(id);
+  }
+
+  const profile = getProfile(metadata?.profile).name;
+  const video = await createVideo({
+    ownerId: metadata?.ownerId || null,
+    source: 'upload',
+    sourceFilename: metadata?.filename || null,
+    sourcePath,
+    tusUploadId: id,
+    profile,
+    encrypted: metadata?.encrypt === 'true',
+    normalizeAudio: metadata?.normalize === 'true',
+    status: VIDEO_STATUS.QUEUED
+  });
+
+  await enqueueJob({ videoId: video.id, sourcePath, profile });
 
-// Add a periodic check for completed uploads
+  // Tell the uploader which video to follow from now on
+  latestUploadProgress.delete(id);
+  publish(`upload:${id}`, { type: 'upload-queued', uploadId: id, videoId: video.id });
+  return video;
+};
+
+// Add a periodic check for completed uploads that never reached the queue
+// (e.g. finished while the server was down)
 const checkForCompletedUploads = async () => {
   try {
     console.log('%%% SERVER: Checking for completed uploads...');
     
-    // Store processed video IDs to avoid duplicate processing
-    const processedVideoIds = new Set();
+    const files = await fs.readdir(tusUploadDir);
     
-    // First, check for any .processed files that don't have corresponding HLS output
-    // This indicates a failed processing attempt that we should retry
-    const processedFiles = await fs.readdir(tusUploadDir)
-      .then(files => files.filter(file => file.endsWith('.processed')))
-      .catch(() => []);
+    // Filter out JSON sidecars, legacy .processed flags and uploads already catalogued
+    const uploadFiles = files.filter(file => 
+      !file.endsWith('.json') && 
+      !file.endsWith('.processed') && 
+      !files.includes(`${file}.processed`) &&
+      !findVideo((video) => video.tusUploadId === file)
+    );
     
-    for (const processedFlag of processedFiles) {
-      const originalFile = processedFlag.replace('.processed', '');
-      const originalPath = path.join(tusUploadDir, originalFile);
-      
-      // Check if the original file exists
-      const originalExists = await fs.access(originalPath).then(() => true).catch(() => false);
+    for (const file of uploadFiles) {
+      const filePath = path.join(tusUploadDir, file);
       
-      if (originalExists) {
-        // Extract videoId from the processed flag file
-        const processedContent = await fs.readFile(path.join(tusUploadDir, processedFlag), 'utf8')
-          .catch(() => '');
+      try {
+        const stats = await fs.stat(filePath);
         
-        // If we can parse a date from the content, it's a valid processed flag
-        try {
-          const processedDate = new Date(processedContent);
-          const now = new Date();
-          
-          // If the flag is older than 30 minutes, it's likely a failed process
-          if (now - processedDate > 30 * 60 * 1000) {
-            console.log(`%%% SERVER: Found stale processed flag: ${processedFlag}, removing for retry`);
-            await fs.unlink(path.join(tusUploadDir, processedFlag)).catch(() => {});
-          } else {
-            // Add this file to the processed set to avoid reprocessing
-            processedVideoIds.add(originalFile);
-          }
-        } catch (e) {
-          // If we can't parse the date, it's an invalid flag, remove it
-          console.log(`%%% SERVER: Found invalid processed flag: ${processedFlag}, removing`);
-          await fs.unlink(path.join(tusUploadDir, processedFlag)).catch(() => {});
+        // Only process files, not directories
+        if (!stats.isFile()) {
+          continue;
         }
-      } else {
-        // If the original file doesn't exist, remove the orphaned flag
-        console.log(`%%% SERVER: Found orphaned processed flag: ${processedFlag}, removing`);
-        await fs.unlink(path.join(tusUploadDir, processedFlag)).catch(() => {});
-      }
-    }
-    
-    // Now check for files to process
-    const files = await fs.readdir(tusUploadDir);
-    
-    if (files.length > 0) {
-      // Filter out JSON files and already processed files
-      const uploadFiles = files.filter(file => 
-        !file.endsWith('.json') && 
-        !file.endsWith('.processed') && 
-        !processedVideoIds.has(file)
-      );
-      
-      if (uploadFiles.length > 0) {
-        console.log(`%%% SERVER: Found ${uploadFiles.length} files to check for processing`);
         
-        for (const file of uploadFiles) {
-          const filePath = path.join(tusUploadDir, file);
-          const stats = await fs.stat(filePath);
-          
-          // Only process files, not directories
-          if (stats.isFile()) {
-            console.log(`%%% SERVER: Found file: ${file}, size: ${stats.size} bytes`);
-            
-            try {
-              // Check if this is a completed upload by looking for .json files
-              const jsonFilePath = `${filePath}.json`;
-              const jsonExists = await fs.access(jsonFilePath).then(() => true).catch(() => false);
-              
-              if (jsonExists) {
-                const jsonContent = await fs.readFile(jsonFilePath, 'utf8');
-                const info = JSON.parse(jsonContent);
-                
-                console.log(`%%% SERVER: File info:`, info);
-                
-                // Check if upload is complete by comparing size or other metadata
-                // The TUS metadata JSON has a size field that should match the file size
-                if (stats.size === info.size) {
-                  console.log(`%%% SERVER: Found completed upload: ${file}, size matches metadata`);
-                  
-                  // Create a processed flag file to avoid reprocessing
-                  const processedFlagPath = `${filePath}.processed`;
-                  const alreadyProcessed = await fs.access(processedFlagPath).then(() => true).catch(() => false);
-                  
-                  if (!alreadyProcessed) {
-                    // Extract metadata from the JSON file
-                    const metadata = {};
-                    if (info.metadata) {
-                      // Extract metadata
-                      Object.entries(info.metadata).forEach(([key, value]) => {
-                        metadata[key] = value;
-                      });
-                    }
-                    
-                    console.log(`%%% SERVER: Extracted metadata:`, metadata);
-                    
-                    // Generate a new video ID
-                    const videoId = uuidv4();
-                    
-                    // Create the processed flag file to prevent reprocessing during this attempt
-                    await fs.writeFile(processedFlagPath, new Date().toISOString());
-                    
-                    try {
-                      // Process the video
-                      console.log(`%%% SERVER: Processing upload ${file} with videoId ${videoId}`);
-                      
-                      // Notify clients that processing has started
-                      clients.forEach((client, id) => {
-                        if (client.ws && client.ws.readyState === WebSocket.OPEN) {
-                          client.ws.send(JSON.stringify({
-                            type: 'processing-started',
-                            videoId,
-                            message: 'Video processing has started'
-                          }));
-                        }
-                      });
-                      
-                      // Process the video
-                      await processVideo(filePath, videoId);
-                      
-                      // Check if the HLS playlist was created
-                      const hlsOutputDir = path.join(hlsDir, videoId);
-                      const hlsPlaylistPath = path.join(hlsOutputDir, 'playlist.m3u8');
-                      const playlistExists = await fs.access(hlsPlaylistPath)
-                        .then(() => true)
-                        .catch(() => false);
-                      
-                      if (playlistExists) {
-                        console.log(`%%% SERVER: HLS playlist created successfully for ${videoId}`);
-                        
-                        // Notify clients that the video is ready
-                        const hlsUrl = `/hls/${videoId}/playlist.m3u8`;
-                        clients.forEach((client, id) => {
-                          if (client.ws && client.ws.readyState === WebSocket.OPEN) {
-                            client.ws.send(JSON.stringify({
-                              type: 'videoProcessed',
-                              videoId,
-                              hlsUrl
-                            }));
-                          }
-                        });
-                        
-                        console.log(`%%% SERVER: Notified clients about processed video ${videoId}`);
-                        
-                        // Add this file to the processed set to avoid reprocessing in this session
-                        processedVideoIds.add(file);
-                      } else {
-                        throw new Error(`HLS playlist not created for ${videoId}`);
-                      }
-                    } catch (error) {
-                      console.error(`%%% SERVER ERROR: Failed to process upload ${file}:`, error);
-                      
-                      // Remove the processed flag so it can be retried
-                      await fs.unlink(processedFlagPath).catch(() => {});
-                      
-                      // Notify clients about the error
-                      clients.forEach((client, id) => {
-                        if (client.ws && client.ws.readyState === WebSocket.OPEN) {
-                          client.ws.send(JSON.stringify({
-                            type: 'videoError',
-                            videoId,
-                            error: error.message
-                          }));
-                        }
-                      });
-                    }
-                  } else {
-                    console.log(`%%% SERVER: Upload ${file} already processed, skipping`);
-                    
-                    // Add this file to the processed set to avoid reprocessing in this session
-                    processedVideoIds.add(file);
-                  }
-                } else {
-                  console.log(`%%% SERVER: Upload not yet complete for ${file}. Current size: ${stats.size}, Expected: ${info.size}`);
-                }
-              } else {
-                console.log(`%%% SERVER: No metadata file found for ${file}`);
-              }
-            } catch (error) {
-              console.error(`%%% SERVER ERROR: Error processing file ${file}:`, error);
-            }
-          }
+        // Check if this is a completed upload by looking for .json files
+        const jsonFilePath = `${filePath}.json`;
+        const jsonContent = await fs.readFile(jsonFilePath, 'utf8').catch(() => null);
+        
+        if (!jsonContent) {
+          console.log(`%%% SERVER: No metadata file found for ${file}`);
+          continue;
+        }
+        
+        const info = JSON.parse(jsonContent);
+        
+        // The TUS metadata JSON has a size field that should match the file size
+        if (stats.size === info.size) {
+          console.log(`%%% SERVER: Found completed upload: ${file}, size matches metadata`);
+          await enqueueUpload({ id: file, path: filePath, metadata: info.metadata });
         }
-      } else {
-        console.log('%%% SERVER: No new files to process');
+      } catch (error) {
+        console.error(`%%% SERVER ERROR: Error checking file ${file}:`, error);
       }
-    } else {
-      console.log('%%% SERVER: No files found in tus uploads directory');
     }
   } catch (error) {
     console.error('%%% SERVER ERROR: Error checking for completed uploads:', error);
@@ -694,85 +1014,756 @@ const checkForCompletedUploads = async () => {
 // Start the periodic check after a short delay
 setTimeout(checkForCompletedUploads, 5000);
 
+// Delete unfinished uploads past their expiration, and sidecar files left
+// behind by uploads that are gone, reporting how much space that freed.
+// Finished uploads, and any upload a video was catalogued from, are left alone.
+const sweepStaleUploads = async () => {
+  try {
+    const files = await fs.readdir(tusUploadDir);
+    const now = Date.now();
+    let expired = 0;
+    let reclaimedBytes = 0;
+
+    for (const file of files.filter((name) => name.endsWith('.json'))) {
+      const id = file.slice(0, -'.json'.length);
+      const stats = await fs.stat(path.join(tusUploadDir, id)).catch(() => null);
+
+      if (!stats) {
+        await fs.rm(path.join(tusUploadDir, file), { force: true });
+        continue;
+      }
+
+      if (findVideo((video) => video.tusUploadId === id)) {
+        continue;
+      }
+
+      const upload = await tusStore.getUpload(id).catch(() => null);
+      if (!upload || upload.offset === upload.size || !upload.creation_date) {
+        continue;
+      }
+
+      if (Date.parse(upload.creation_date) + uploadExpiration < now) {
+        await tusStore.remove(id);
+        latestUploadProgress.delete(id);
+        expired++;
+        reclaimedBytes += stats.size;
+        console.log(`%%% SERVER: Removed expired upload ${id} (${upload.offset}/${upload.size ?? '?'} bytes received)`);
+      }
+    }
+
+    // Legacy .processed flags of uploads that no longer exist
+    for (const file of files.filter((name) => name.endsWith('.processed'))) {
+      if (!files.includes(file.slice(0, -'.processed'.length))) {
+        await fs.rm(path.join(tusUploadDir, file), { force: true });
+      }
+    }
+
+    if (expired > 0) {
+      console.log(`%%% SERVER: Upload sweep removed ${expired} expired uploads, reclaiming ${(reclaimedBytes / (1024 * 1024)).toFixed(1)} MB`);
+    }
+  } catch (error) {
+    console.error('%%% SERVER ERROR: Upload sweep failed:', error);
+  }
+
+  setTimeout(sweepStaleUploads, uploadSweepInterval);
+};
+
+setTimeout(sweepStaleUploads, 5000);
+
 app.get('/', function (req, res) {
   res.json({ message: "Hello chai aur code" })
 })
 
-// Get video status
-// Get video status and process if needed
-app.get('/api/videos/:videoId', async (req, res) => {
+// Create an account and sign it in
+app.post('/api/auth/register', async (req, res) => {
   try {
-    const videoId = req.params.videoId;
-    const hlsPath = path.join(hlsDir, videoId, 'playlist.m3u8');
-    
-    const exists = await fs.access(hlsPath)
-      .then(() => true)
-      .catch(() => false);
-    
-    if (exists) {
-      res.json({
-        videoId,
-        status: 'processed',
-        hlsUrl: `/hls/${videoId}/playlist.m3u8`
-      });
-    } else {
-      res.json({
-        videoId,
-        status: 'processing',
-        hlsUrl: null
-      });
+    const { username, password } = req.body ?? {};
+    const problem = validateRegistration({ username, password });
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+
+    const user = await createUser({ username, password });
+    if (!user) {
+      return res.status(400).json({ error: 'Username is already taken' });
     }
+    startSession(req, res, user.id);
+    res.status(201).json({ user: toPublicUser(user) });
   } catch (error) {
-    console.error('Error checking video status:', error);
+    console.error('%%% SERVER ERROR: Registration failed:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Handle TUS errors
-tusServer.on('error', (error) => {
-  console.error('TUS error:', error);
-});
-
-// Process local video files in the uploads directory
-const processLocalVideo = async (filename) => {
+app.post('/api/auth/login', async (req, res) => {
   try {
-    const inputPath = path.join(uploadsDir, filename);
-    const videoId = uuidv4();
-    
-    console.log(`%%% SERVER: Processing local video: ${filename} with ID: ${videoId}`);
-    
-    // Process the video to HLS format
-    await processVideo(inputPath, videoId);
-    
-    // Return the video information
-    return {
-      id: videoId,
-      filename,
-      hlsUrl: `/hls/${videoId}/playlist.m3u8`,
-      timestamp: new Date().toISOString()
-    };
+    const { username, password } = req.body ?? {};
+    if (typeof username !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({ error: 'Username and password are required' });
+    }
+
+    const user = await verifyCredentials(username, password);
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    startSession(req, res, user.id);
+    res.json({ user: toPublicUser(user) });
   } catch (error) {
-    console.error(`%%% SERVER ERROR: Failed to process local video ${filename}:`, error);
-    throw error;
+    console.error('%%% SERVER ERROR: Login failed:', error);
+    res.status(500).json({ error: error.message });
   }
-};
+});
 
-// Store processed local videos
-const processedLocalVideos = new Map();
+app.post('/api/auth/logout', (req, res) => {
+  endSession(req, res);
+  res.status(204).end();
+});
 
-// Scan for local videos in the uploads directory
-const scanLocalVideos = async () => {
-  try {
-    console.log('%%% SERVER: Scanning for local videos in uploads directory...');
-    
-    // Get all files in the uploads directory
-    const files = await fs.readdir(uploadsDir);
+app.get('/api/auth/me', requireUser, (req, res) => {
+  res.json({ user: toPublicUser(req.user) });
+});
+
+// List the encoding profiles uploads and local videos can choose from
+app.get('/api/profiles', (req, res) => {
+  res.json(listProfiles());
+});
+
+// List the user's catalog videos, newest first
+app.get('/api/videos', requireUser, (req, res) => {
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+  const result = listVideos({
+    page,
+    limit,
+    ownerId: req.user.id,
+    status: req.query.status,
+    source: req.query.source
+  });
+
+  res.json({
+    ...result,
+    videos: result.videos.map(toVideoResponse)
+  });
+});
+
+// Get video status from the catalog. Looking up an encrypted video lets this
+// browser session fetch its key for a while.
+app.get('/api/videos/:videoId', requireUser, (req, res) => {
+  const video = getVideo(req.params.videoId);
+
+  // Other users' videos don't exist as far as this user is concerned
+  if (!isOwner(req.user, video)) {
+    return res.status(404).json({ error: 'Video not found' });
+  }
+
+  if (video.encrypted && video.status === VIDEO_STATUS.PROCESSED) {
+    grantPlayback(ensureSession(req, res), video.id, playbackGrantTtl);
+  }
+
+  res.json({
+    ...toVideoResponse(video),
+    // Where this user stopped watching last time, if it's worth resuming
+    resumePosition: resumePositionFor(getWatchEntry(req.user.id, video.id))
+  });
+});
+
+// Download a processed video's audio as an M4A or MP3 file, named after the video
+app.get('/api/videos/:videoId/audio/:format', requireUser, (req, res) => {
+  const video = getVideo(req.params.videoId);
+  if (!isOwner(req.user, video)) {
+    return res.status(404).json({ error: 'Video not found' });
+  }
+
+  const { format } = req.params;
+  if (!video.audioExports.some((audioExport) => audioExport.format === format)) {
+    return res.status(404).json({ error: `No ${format} audio for this video` });
+  }
+
+  const name = path.parse(video.sourceFilename || video.id).name;
+  res.download(path.join(audioExportsDir, video.id, audioExportFile(format)), `${name}.${format}`, (error) => {
+    if (error && !res.headersSent) {
+      console.error(`%%% SERVER ERROR: Failed to send ${format} audio of ${video.id}:`, error.message);
+      res.status(404).json({ error: `No ${format} audio for this video` });
+    }
+  });
+});
+
+// Playback heartbeat: players report the current position every few seconds
+// and when playback pauses or the page goes away
+app.put('/api/videos/:videoId/position', requireUser, async (req, res) => {
+  const video = getVideo(req.params.videoId);
+  if (!isOwner(req.user, video)) {
+    return res.status(404).json({ error: 'Video not found' });
+  }
+
+  const positionError = checkPosition(req.body?.position);
+  if (positionError) {
+    return res.status(400).json({ error: positionError });
+  }
+
+  const entry = await recordPosition(req.user.id, video.id, {
+    position: req.body.position,
+    duration: Number(video.duration) || 0
+  });
+  res.json({ ...entry, percent: completionPercent(entry) });
+});
+
+// The user's recently watched videos, most recent first
+app.get('/api/history', requireUser, (req, res) => {
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+  // Skip videos that are gone or no longer the user's before counting the page
+  const history = listWatchHistory(req.user.id, {
+    limit,
+    include: (entry) => isOwner(req.user, getVideo(entry.videoId))
+  }).map((entry) => {
+    const video = getVideo(entry.videoId);
+    return {
+      videoId: video.id,
+      filename: video.sourceFilename || video.id,
+      posterUrl: mediaUrlsFor(video).posterUrl,
+      duration: entry.duration,
+      position: entry.position,
+      percent: completionPercent(entry),
+      completed: entry.completed,
+      watchedAt: entry.updatedAt
+    };
+  });
+
+  res.json({ history });
+});
+
+// Remove a video from the user's history
+app.delete('/api/history/:videoId', requireUser, async (req, res) => {
+  const removed = await removeWatchEntry(req.user.id, req.params.videoId);
+  if (!removed) {
+    return res.status(404).json({ error: 'Not in the watch history' });
+  }
+  res.status(204).end();
+});
+
+// Remove a video and everything stored for it: its job (killing ffmpeg if it is
+// running), HLS output, audio exports, key and watch history. An upload also
+// loses the uploaded file with its tus bookkeeping and any remuxed copy, and a
+// clip or live recording its source file. Local source files stay, as other
+// users' videos may use them too.
+const deleteVideo = async (video) => {
+  await cancelJobForVideo(video.id);
+  latestTranscodeProgress.delete(video.id);
+
+  await fs.rm(path.join(hlsDir, video.id), { recursive: true, force: true });
+  await fs.rm(path.join(audioExportsDir, video.id), { recursive: true, force: true });
+  await removeKey(video.id);
+  await removeWatchEntriesForVideo(video.id);
+
+  if (video.source === 'upload' && video.tusUploadId) {
+    const uploadPath = path.join(tusUploadDir, video.tusUploadId);
+    for (const file of [uploadPath, `${uploadPath}.json`, `${uploadPath}.processed`, video.sourcePath]) {
+      await fs.rm(file, { force: true });
+    }
+    latestUploadProgress.delete(video.tusUploadId);
+  }
+  if (video.source === 'clip' || video.source === 'live') {
+    await fs.rm(video.sourcePath, { force: true });
+  }
+
+  await removeVideo(video.id);
+
+  const message = { type: 'video-deleted', videoId: video.id };
+  publishVideoEvent(video.id, message);
+  if (video.ownerId) {
+    publish('videos', message, { userId: video.ownerId });
+  }
+  console.log(`%%% SERVER: Deleted video ${video.id} and its files`);
+};
+
+app.delete('/api/videos/:videoId', requireUser, async (req, res) => {
+  const video = getVideo(req.params.videoId);
+
+  if (!isOwner(req.user, video)) {
+    return res.status(404).json({ error: 'Video not found' });
+  }
+
+  try {
+    await deleteVideo(video);
+    res.status(204).end();
+  } catch (error) {
+    console.error(`%%% SERVER ERROR: Failed to delete video ${video.id}:`, error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete several of the user's videos ({ videoIds: [...] }). Ids that aren't
+// the user's videos are reported back instead of failing the whole request.
+app.delete('/api/videos', requireUser, async (req, res) => {
+  const { videoIds } = req.body || {};
+
+  if (!Array.isArray(videoIds) || videoIds.length === 0 || videoIds.length > 100) {
+    return res.status(400).json({ error: 'videoIds must list between 1 and 100 video ids' });
+  }
+
+  const deleted = [];
+  const notFound = [];
+
+  try {
+    for (const videoId of new Set(videoIds.map(String))) {
+      const video = getVideo(videoId);
+      if (!isOwner(req.user, video)) {
+        notFound.push(videoId);
+        continue;
+      }
+      await deleteVideo(video);
+      deleted.push(videoId);
+    }
+
+    res.json({ deleted, notFound });
+  } catch (error) {
+    console.error('%%% SERVER ERROR: Bulk delete failed:', error);
+    res.status(500).json({ error: error.message, deleted });
+  }
+});
+
+// Release an encrypted video's AES-128 key to its owner's sessions that are
+// allowed to play it
+app.get('/api/keys/:videoId', requireUser, async (req, res) => {
+  const video = getVideo(req.params.videoId);
+
+  if (!isOwner(req.user, video) || !video.encrypted) {
+    return res.status(404).json({ error: 'Key not found' });
+  }
+
+  if (!hasPlaybackGrant(findSession(req), video.id)) {
+    console.log(`%%% SERVER: Refused key request for ${video.id} without a playback grant`);
+    return res.status(403).json({ error: 'Not authorized to play this video' });
+  }
+
+  try {
+    const key = await readKey(video.id);
+    if (!key) {
+      return res.status(404).json({ error: 'Key not found' });
+    }
+
+    res.set({
+      'Content-Type': 'application/octet-stream',
+      'Cache-Control': 'private, no-store'
+    });
+    res.send(key);
+  } catch (error) {
+    console.error(`%%% SERVER ERROR: Failed to read key for ${video.id}:`, error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Subtitle files are small; keep them in memory until they're converted
+const subtitleUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024, files: 1 }
+});
+
+const SUBTITLE_EXTENSIONS = ['.srt', '.vtt'];
+
+// Accept a single `file` field, answering upload problems in the API's format
+const receiveSubtitleFile = (req, res, next) => {
+  subtitleUpload.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    next();
+  });
+};
+
+// Subtitle tracks can only be added once the output's renditions are known
+const checkSubtitleTarget = (video) => {
+  if (video.status !== VIDEO_STATUS.PROCESSED) {
+    return 'Subtitles can only be added to processed videos';
+  }
+  if (video.renditions.length === 0 || !video.audioTracks) {
+    return 'This video was processed by an older version; process it again to add subtitles';
+  }
+  return null;
+};
+
+// Cut a clip out of a processed video. The clip becomes a video of its own that
+// is queued like an upload: its job cuts the range out of the original's source
+// and runs it through the HLS pipeline, reporting progress on `video:<clip id>`.
+// Profile, encryption and loudness normalization default to the original's.
+app.post('/api/videos/:videoId/clips', requireUser, async (req, res) => {
+  const original = getVideo(req.params.videoId);
+
+  if (!isOwner(req.user, original)) {
+    return res.status(404).json({ error: 'Video not found' });
+  }
+
+  if (original.status !== VIDEO_STATUS.PROCESSED) {
+    return res.status(409).json({ error: 'Clips can only be cut from processed videos' });
+  }
+
+  const sourceExists = original.sourcePath && await fs.access(original.sourcePath).then(() => true).catch(() => false);
+  if (!sourceExists) {
+    return res.status(409).json({ error: 'The source file of this video is no longer available' });
+  }
+
+  const {
+    start,
+    end,
+    profile = original.profile,
+    encrypt = original.encrypted,
+    normalize = original.normalizeAudio
+  } = req.body || {};
+
+  const rangeError = checkClipRange({ start, end }, Number(original.duration) || 0);
+  if (rangeError) {
+    return res.status(400).json({ error: rangeError });
+  }
+
+  if (!hasProfile(profile)) {
+    return res.status(400).json({ error: `Unknown encoding profile: ${profile}` });
+  }
+
+  const encryptionError = checkEncryption(profile, encrypt === true);
+  if (encryptionError) {
+    return res.status(400).json({ error: encryptionError });
+  }
+
+  const name = String(req.body.name || '').replace(/[\r\n]/g, '').trim().slice(0, 200) ||
+    defaultClipName(original.sourceFilename || original.id, start, end);
+
+  try {
+    const id = uuidv4();
+    const sourcePath = path.join(clipsDir, `${id}.mkv`);
+    const video = await createVideo({
+      id,
+      ownerId: req.user.id,
+      source: 'clip',
+      sourceFilename: name,
+      sourcePath,
+      profile,
+      encrypted: encrypt === true,
+      normalizeAudio: normalize === true,
+      clip: { videoId: original.id, start, end, sourcePath: original.sourcePath, streamCopy: null },
+      status: VIDEO_STATUS.QUEUED
+    });
+
+    console.log(`%%% SERVER: Queueing clip ${start}-${end}s of ${original.id} as ${video.id}`);
+    await enqueueJob({ videoId: video.id, sourcePath, profile });
+
+    res.status(202).json(toVideoResponse(getVideo(video.id)));
+  } catch (error) {
+    console.error(`%%% SERVER ERROR: Failed to queue a clip of ${original.id}:`, error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Attach an SRT or WebVTT file to a processed video as a subtitle track
+// (multipart form: file, language, optional name)
+app.post('/api/videos/:videoId/subtitles', requireUser, receiveSubtitleFile, async (req, res) => {
+  const video = getVideo(req.params.videoId);
+
+  if (!isOwner(req.user, video)) {
+    return res.status(404).json({ error: 'Video not found' });
+  }
+
+  const targetError = checkSubtitleTarget(video);
+  if (targetError) {
+    return res.status(409).json({ error: targetError });
+  }
+
+  if (!req.file) {
+    return res.status(400).json({ error: 'A subtitle file is required' });
+  }
+
+  if (!SUBTITLE_EXTENSIONS.includes(path.extname(req.file.originalname).toLowerCase())) {
+    return res.status(400).json({ error: 'Subtitles must be an .srt or .vtt file' });
+  }
+
+  const { language } = req.body;
+  if (!isValidLanguage(language)) {
+    return res.status(400).json({ error: 'A language code such as "en" or "pt-BR" is required' });
+  }
+
+  // The name ends up in a quoted playlist attribute
+  const name = String(req.body.name || language).replace(/["\r\n]/g, '').trim().slice(0, 64) || language;
+
+  try {
+    const cues = parseSubtitles(req.file.buffer.toString('utf8'));
+    if (cues.length === 0) {
+      return res.status(400).json({ error: 'No subtitle cues found in the file' });
+    }
+
+    const subtitle = await addSubtitleTrack(video, { language, name, source: 'upload', cues });
+    await refreshMasterPlaylist(getVideo(video.id));
+    console.log(`%%% SERVER: Added ${language} subtitles (${cues.length} cues) to ${video.id}`);
+
+    res.status(201).json({
+      subtitle,
+      video: toVideoResponse(getVideo(video.id))
+    });
+  } catch (error) {
+    console.error(`%%% SERVER ERROR: Failed to add subtitles to ${video.id}:`, error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/videos/:videoId/subtitles/:subtitleId', requireUser, async (req, res) => {
+  const video = getVideo(req.params.videoId);
+
+  if (!isOwner(req.user, video)) {
+    return res.status(404).json({ error: 'Video not found' });
+  }
+
+  if (!video.subtitles.some(({ id }) => id === req.params.subtitleId)) {
+    return res.status(404).json({ error: 'Subtitle track not found' });
+  }
+
+  try {
+    await deleteSubtitleTrack(video, req.params.subtitleId);
+    await refreshMasterPlaylist(getVideo(video.id));
+    res.status(204).end();
+  } catch (error) {
+    console.error(`%%% SERVER ERROR: Failed to remove subtitles from ${video.id}:`, error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Watermark images are small; they're checked in memory before being stored
+const watermarkUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024, files: 1 }
+});
+
+const receiveWatermarkFile = (req, res, next) => {
+  watermarkUpload.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    next();
+  });
+};
+
+const toWatermarkImageResponse = (image) => ({
+  ...image,
+  url: `/api/watermark/images/${image.id}`
+});
+
+// Validated watermark settings from the `watermark` field of a request body,
+// as `{ watermark }` or `{ error }`
+const readWatermarkSettings = (input, ownerId) => {
+  const inputError = checkWatermarkInput(input);
+  if (inputError) {
+    return { error: inputError };
+  }
+  const watermark = normalizeWatermark(input);
+  const error = checkWatermark(watermark, ownerId);
+  return error ? { error } : { watermark };
+};
+
+// The user's default watermark, burned into each of their videos processed
+// from now on that has no watermark settings of its own
+app.get('/api/watermark', requireUser, (req, res) => {
+  res.json({ watermark: getAccountWatermark(req.user.id) });
+});
+
+app.put('/api/watermark', requireUser, async (req, res) => {
+  const { watermark, error } = readWatermarkSettings(req.body?.watermark, req.user.id);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    await setAccountWatermark(req.user.id, watermark);
+    res.json({ watermark });
+  } catch (err) {
+    console.error(`%%% SERVER ERROR: Failed to save the watermark of ${req.user.id}:`, err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/watermark/images', requireUser, (req, res) => {
+  res.json({ images: listWatermarkImages(req.user.id).map(toWatermarkImageResponse) });
+});
+
+// Add a PNG, JPEG or WebP image (multipart form: file, optional name)
+app.post('/api/watermark/images', requireUser, receiveWatermarkFile, async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'An image file is required' });
+  }
+
+  const type = await fileTypeFromBuffer(req.file.buffer).catch(() => null);
+  if (!WATERMARK_IMAGE_TYPES[type?.mime]) {
+    return res.status(400).json({ error: 'Watermark images must be PNG, JPEG or WebP' });
+  }
+
+  const name = String(req.body.name || req.file.originalname).replace(/[\r\n]/g, '').trim().slice(0, 100) || 'Watermark';
+
+  try {
+    const image = await addWatermarkImage({ ownerId: req.user.id, name, type: type.mime, data: req.file.buffer });
+    console.log(`%%% SERVER: Added watermark image ${image.id} for ${req.user.id}`);
+    res.status(201).json(toWatermarkImageResponse(image));
+  } catch (error) {
+    console.error('%%% SERVER ERROR: Failed to store a watermark image:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/watermark/images/:imageId', requireUser, (req, res) => {
+  const image = getWatermarkImage(req.params.imageId);
+  if (image?.ownerId !== req.user.id) {
+    return res.status(404).json({ error: 'Watermark image not found' });
+  }
+
+  res.set('Cache-Control', 'private, max-age=3600');
+  res.type(image.type).sendFile(watermarkImagePath(image));
+});
+
+// An image still chosen in the default or in a video's settings is kept, as
+// encoding those videos again needs it
+app.delete('/api/watermark/images/:imageId', requireUser, async (req, res) => {
+  const image = getWatermarkImage(req.params.imageId);
+  if (image?.ownerId !== req.user.id) {
+    return res.status(404).json({ error: 'Watermark image not found' });
+  }
+
+  const usedByDefault = getAccountWatermark(req.user.id).imageId === image.id;
+  const usedByVideos = findVideos((video) => video.watermark?.imageId === image.id);
+  if (usedByDefault || usedByVideos.length > 0) {
+    return res.status(409).json({
+      error: usedByDefault
+        ? 'This image is used by your default watermark'
+        : `This image is used by the watermark of ${usedByVideos.length} video(s)`
+    });
+  }
+
+  try {
+    await removeWatermarkImage(image.id);
+    res.status(204).end();
+  } catch (error) {
+    console.error(`%%% SERVER ERROR: Failed to remove watermark image ${image.id}:`, error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Give a video watermark settings of its own (`{ watermark: settings }`), or
+// go back to the owner's default (`{ watermark: null }`). A video that has
+// already been encoded is queued to be encoded again with them.
+app.put('/api/videos/:videoId/watermark', requireUser, async (req, res) => {
+  const video = getVideo(req.params.videoId);
+
+  if (!isOwner(req.user, video)) {
+    return res.status(404).json({ error: 'Video not found' });
+  }
+
+  if (video.status === VIDEO_STATUS.PROCESSING) {
+    return res.status(409).json({ error: 'Wait for the current encode to finish' });
+  }
+
+  let watermark = null;
+  if (req.body?.watermark !== null) {
+    const settings = readWatermarkSettings(req.body?.watermark, req.user.id);
+    if (settings.error) {
+      return res.status(400).json({ error: settings.error });
+    }
+    watermark = settings.watermark;
+  }
+
+  // A queued video picks the settings up when its encode starts
+  const reencode = video.status !== VIDEO_STATUS.QUEUED;
+  if (reencode) {
+    const sourceExists = video.sourcePath && await fs.access(video.sourcePath).then(() => true).catch(() => false);
+    if (!sourceExists) {
+      return res.status(409).json({ error: 'The source file of this video is no longer available' });
+    }
+  }
+
+  try {
+    await updateVideo(video.id, { watermark });
+    if (reencode) {
+      await updateVideo(video.id, { status: VIDEO_STATUS.QUEUED, error: null });
+      await enqueueJob({ videoId: video.id, sourcePath: video.sourcePath, profile: video.profile }, { rerun: true });
+      console.log(`%%% SERVER: Queued ${video.id} to be encoded again with new watermark settings`);
+    }
+
+    res.status(202).json(toVideoResponse(getVideo(video.id)));
+  } catch (error) {
+    console.error(`%%% SERVER ERROR: Failed to update the watermark of ${video.id}:`, error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Handle TUS errors
+tusServer.on('error', (error) => {
+  console.error('TUS error:', error);
+});
+
+// Catalog a local video file for a user and hand it to the job queue
+const processLocalVideo = async (filename, profileName, { encrypt, normalize }, ownerId) => {
+  const inputPath = path.join(uploadsDir, filename);
+  const profile = getProfile(profileName).name;
+
+  // Reuse the user's catalog entry that is still pending or failed for this file
+  const video = findLatestLocalVideo(filename, ownerId) || await createVideo({
+    ownerId,
+    source: 'local',
+    sourceFilename: filename,
+    sourcePath: inputPath,
+    profile,
+    encrypted: encrypt,
+    normalizeAudio: normalize,
+    status: VIDEO_STATUS.QUEUED
+  });
+
+  if (video.status === VIDEO_STATUS.ERROR) {
+    await updateVideo(video.id, {
+      status: VIDEO_STATUS.QUEUED,
+      profile,
+      encrypted: encrypt,
+      normalizeAudio: normalize,
+      error: null
+    });
+  }
+
+  console.log(`%%% SERVER: Queueing local video: ${filename} with ID: ${video.id} (profile: ${video.profile})`);
+  await enqueueJob({ videoId: video.id, sourcePath: inputPath, profile: video.profile });
+
+  return toLocalVideoInfo(video);
+};
+
+// Latest catalog entry of a user for a local file
+const findLatestLocalVideo = (filename, ownerId) => findVideos((video) =>
+  video.source === 'local' && video.sourceFilename === filename && video.ownerId === ownerId
+).sort((a, b) => b.createdAt.localeCompare(a.createdAt))[0] || null;
+
+// Latest processed catalog entry of a user for a local file
+const findProcessedLocalVideo = (filename, ownerId) => {
+  const video = findLatestLocalVideo(filename, ownerId);
+  return video && video.status === VIDEO_STATUS.PROCESSED ? video : null;
+};
+
+// Shape a catalog entry the way the local videos endpoints report it
+const toLocalVideoInfo = (video) => ({
+  id: video.id,
+  filename: video.sourceFilename,
+  status: video.status,
+  ...mediaUrlsFor(video),
+  encrypted: video.encrypted,
+  duration: video.duration,
+  timestamp: video.processedAt,
+  processed: video.status === VIDEO_STATUS.PROCESSED
+});
+
+// Scan for local videos in the uploads directory
+const scanLocalVideos = async () => {
+  try {
+    console.log('%%% SERVER: Scanning for local videos in uploads directory...');
+    
+    // Get all files in the uploads directory
+    const files = await fs.readdir(uploadsDir);
     
     // Filter for video files (common video extensions)
-    const videoExtensions = ['.mp4', '.mov', '.avi', '.mkv', '.webm', '.flv', '.wmv', '.m4v'];
     const videoFiles = files.filter(file => {
       const ext = path.extname(file).toLowerCase();
-      return videoExtensions.includes(ext);
+      return VIDEO_EXTENSIONS.includes(ext);
     });
     
     console.log(`%%% SERVER: Found ${videoFiles.length} local video files`);
@@ -784,17 +1775,18 @@ const scanLocalVideos = async () => {
   }
 };
 
-// API endpoint to list all available local videos
-app.get('/api/local-videos', async (req, res) => {
+// API endpoint to list all available local videos, with the user's processing state
+app.get('/api/local-videos', requireUser, async (req, res) => {
   try {
     // Get all video files in the uploads directory
     const videoFiles = await scanLocalVideos();
     
     // Return the list of videos with their status
     const videos = videoFiles.map(filename => {
-      // Check if this video has already been processed
-      if (processedLocalVideos.has(filename)) {
-        return processedLocalVideos.get(filename);
+      // Report the catalog state if this video has been queued before
+      const video = findLatestLocalVideo(filename, req.user.id);
+      if (video) {
+        return toLocalVideoInfo(video);
       }
       
       // Return unprocessed video info
@@ -812,59 +1804,436 @@ app.get('/api/local-videos', async (req, res) => {
 });
 
 // API endpoint to process a specific local video
-app.post('/api/local-videos/process', async (req, res) => {
+app.post('/api/local-videos/process', requireUser, async (req, res) => {
   try {
-    const { filename } = req.body;
+    const { filename, profile, encrypt = false, normalize = false } = req.body;
     
     if (!filename) {
       return res.status(400).json({ error: 'Filename is required' });
     }
     
-    // Check if the file exists
-    const filePath = path.join(uploadsDir, filename);
-    const fileExists = await fs.access(filePath).then(() => true).catch(() => false);
+    if (profile && !hasProfile(profile)) {
+      return res.status(400).json({ error: `Unknown encoding profile: ${profile}` });
+    }
+    
+    const encryptionError = checkEncryption(profile, encrypt === true);
+    if (encryptionError) {
+      return res.status(400).json({ error: encryptionError });
+    }
     
-    if (!fileExists) {
+    // Only files the local videos list offers; a name with a path in it
+    // would reach tus uploads and other files under the uploads directory
+    const localVideos = await scanLocalVideos();
+    if (!localVideos.includes(filename)) {
       return res.status(404).json({ error: 'File not found' });
     }
     
     // Check if already processed
-    if (processedLocalVideos.has(filename)) {
-      return res.json(processedLocalVideos.get(filename));
+    const processedVideo = findProcessedLocalVideo(filename, req.user.id);
+    if (processedVideo) {
+      return res.json(toLocalVideoInfo(processedVideo));
     }
     
-    // Process the video
-    const videoInfo = await processLocalVideo(filename);
+    // Queue the video; clients hear about completion over the WebSocket
+    const videoInfo = await processLocalVideo(filename, profile, {
+      encrypt: encrypt === true,
+      normalize: normalize === true
+    }, req.user.id);
     
-    // Store the processed video info
-    processedLocalVideos.set(filename, {
-      ...videoInfo,
-      processed: true
-    });
-    
-    // Notify all connected clients about the new video
-    clients.forEach((client, id) => {
-      if (client.ws && client.ws.readyState === WebSocket.OPEN) {
-        client.ws.send(JSON.stringify({
-          type: 'localVideoProcessed',
-          video: videoInfo
-        }));
-      }
-    });
-    
-    res.json(videoInfo);
+    res.status(202).json(videoInfo);
   } catch (error) {
     console.error('%%% SERVER ERROR: Error processing local video:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// API endpoint to get all processed local videos
-app.get('/api/local-videos/processed', (req, res) => {
-  const videos = Array.from(processedLocalVideos.values());
+// API endpoint to get the user's processed local videos
+app.get('/api/local-videos/processed', requireUser, (req, res) => {
+  const videos = findVideos((video) =>
+    video.source === 'local' && video.status === VIDEO_STATUS.PROCESSED && video.ownerId === req.user.id
+  ).map(toLocalVideoInfo);
   res.json(videos);
 });
 
+// A catalog entry as the library lists it. Videos processed before the source
+// resolution was recorded report their best rendition's.
+const toLibraryEntry = (video) => {
+  const best = video.renditions[video.renditions.length - 1];
+  return {
+    videoId: video.id,
+    filename: video.sourceFilename || video.id,
+    source: video.source,
+    status: video.status,
+    profile: video.profile,
+    encrypted: video.encrypted,
+    duration: Number(video.duration) || null,
+    width: video.width ?? best?.width ?? null,
+    height: video.height ?? best?.height ?? null,
+    error: video.error,
+    createdAt: video.createdAt,
+    processedAt: video.processedAt
+  };
+};
+
+// A local source file the user hasn't queued yet, dated by its modification time
+const toUnprocessedEntry = async (filename) => {
+  const stats = await fs.stat(path.join(uploadsDir, filename)).catch(() => null);
+  return {
+    videoId: null,
+    filename,
+    source: 'local',
+    status: UNPROCESSED_STATUS,
+    profile: null,
+    encrypted: false,
+    duration: null,
+    width: null,
+    height: null,
+    error: null,
+    createdAt: stats ? stats.mtime.toISOString() : null,
+    processedAt: null
+  };
+};
+
+// The user's whole library: uploaded and local videos from the catalog plus
+// local files still waiting to be processed. Search, filters and sorting run
+// here so the client only receives one page, with posters signed for it.
+app.get('/api/library', requireUser, async (req, res) => {
+  const queryError = checkLibraryQuery(req.query);
+  if (queryError) {
+    return res.status(400).json({ error: queryError });
+  }
+
+  try {
+    const videos = findVideos((video) => video.ownerId === req.user.id);
+    const queuedFiles = new Set(videos
+      .filter((video) => video.source === 'local')
+      .map((video) => video.sourceFilename));
+    const unprocessedFiles = (await scanLocalVideos()).filter((filename) => !queuedFiles.has(filename));
+
+    const entries = [
+      ...videos.map(toLibraryEntry),
+      ...await Promise.all(unprocessedFiles.map(toUnprocessedEntry))
+    ];
+
+    const result = queryLibrary(entries, {
+      search: typeof req.query.search === 'string' ? req.query.search : '',
+      statuses: parseList(req.query.status),
+      source: req.query.source,
+      sort: req.query.sort,
+      order: req.query.order,
+      page: Math.max(1, parseInt(req.query.page, 10) || 1),
+      limit: Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 24))
+    });
+
+    res.json({
+      ...result,
+      videos: result.videos.map((entry) => ({
+        ...entry,
+        posterUrl: entry.videoId ? mediaUrlsFor(getVideo(entry.videoId)).posterUrl : null
+      }))
+    });
+  } catch (error) {
+    console.error('%%% SERVER ERROR: Error listing the library:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create a live stream. The broadcaster then pushes media to its ingest path,
+// over WebSocket (e.g. MediaRecorder chunks) or as a long-running HTTP PUT
+// (e.g. MPEG-TS from ffmpeg). With `record`, the broadcast becomes a video in
+// the catalog once it ends, encoded with `profile`.
+app.post('/api/live', requireUser, async (req, res) => {
+  const { record = false, profile, encrypt = false } = req.body || {};
+  const title = String(req.body?.title || '').replace(/[\r\n]/g, '').trim().slice(0, 200) ||
+    `Live stream ${new Date().toLocaleString()}`;
+
+  if (profile && !hasProfile(profile)) {
+    return res.status(400).json({ error: `Unknown encoding profile: ${profile}` });
+  }
+
+  const encryptionError = checkEncryption(profile, encrypt === true);
+  if (encryptionError) {
+    return res.status(400).json({ error: encryptionError });
+  }
+
+  try {
+    const stream = await createLiveStream({
+      ownerId: req.user.id,
+      title,
+      record: record === true,
+      profile: getProfile(profile).name,
+      encrypt: encrypt === true
+    });
+    console.log(`%%% SERVER: Created live stream ${stream.id} for ${req.user.username}`);
+    res.status(201).json(toLiveStreamResponse(stream));
+  } catch (error) {
+    console.error('%%% SERVER ERROR: Failed to create a live stream:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/live', requireUser, (req, res) => {
+  res.json({ streams: listLiveStreams(req.user.id).map(toLiveStreamResponse) });
+});
+
+app.get('/api/live/:streamId', requireUser, (req, res) => {
+  const stream = getLiveStream(req.params.streamId);
+
+  if (stream?.ownerId !== req.user.id) {
+    return res.status(404).json({ error: 'Stream not found' });
+  }
+
+  res.json(toLiveStreamResponse(stream));
+});
+
+// Push media over plain HTTP, e.g.
+// `ffmpeg -re -i input.mp4 -c copy -f mpegts -method PUT <url>`. The request
+// lasts as long as the broadcast and is answered once the stream has ended.
+app.put('/api/live/:streamId/ingest', async (req, res) => {
+  const stream = getLiveStream(req.params.streamId);
+  const problem = checkIngest(stream, req.query.key);
+  if (problem) {
+    return res.status(problem.status).json({ error: problem.error });
+  }
+
+  const ingest = startIngest(stream);
+  req.on('data', (chunk) => {
+    const drained = ingest.write(chunk);
+    if (drained) {
+      req.pause();
+      drained.then(() => req.resume());
+    }
+  });
+  req.on('end', ingest.end);
+  req.on('close', ingest.end);
+
+  await ingest.done;
+  if (!res.headersSent && !res.destroyed) {
+    res.status(204).end();
+  }
+});
+
+// End a broadcast from the owner's side; the broadcaster is disconnected
+app.post('/api/live/:streamId/stop', requireUser, async (req, res) => {
+  const stream = getLiveStream(req.params.streamId);
+
+  if (stream?.ownerId !== req.user.id) {
+    return res.status(404).json({ error: 'Stream not found' });
+  }
+
+  const done = stopIngest(stream.id);
+  if (!done) {
+    return res.status(409).json({ error: 'This stream is not live' });
+  }
+
+  await done;
+  res.json(toLiveStreamResponse(stream));
+});
+
+app.delete('/api/live/:streamId', requireUser, async (req, res) => {
+  const stream = getLiveStream(req.params.streamId);
+
+  if (stream?.ownerId !== req.user.id) {
+    return res.status(404).json({ error: 'Stream not found' });
+  }
+
+  try {
+    await deleteLiveStream(stream.id);
+    console.log(`%%% SERVER: Deleted live stream ${stream.id}`);
+    publish(`live:${stream.id}`, { type: 'live-deleted', streamId: stream.id });
+    res.status(204).end();
+  } catch (error) {
+    console.error(`%%% SERVER ERROR: Failed to delete live stream ${stream.id}:`, error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Turn ffmpeg progress into throttled 'transcode-progress' events for a job
+const createProgressReporter = (job) => {
+  const renditionStartedAt = new Map();
+  let lastSentAt = 0;
+
+  // Without a rendition, the progress applies to all renditions at once
+  return (progress, { rendition = null, index = 0, renditions }) => {
+    const now = Date.now();
+    if (!renditionStartedAt.has(rendition)) {
+      renditionStartedAt.set(rendition, now);
+    }
+
+    const percent = Math.min(100, Math.max(0, progress.percent || 0));
+
+    // At most two updates a second, but never drop a finished rendition
+    if (percent < 100 && now - lastSentAt < 500) {
+      return;
+    }
+    lastSentAt = now;
+
+    // Estimate the remaining time from this rendition's pace so far
+    const elapsedSeconds = (now - renditionStartedAt.get(rendition)) / 1000;
+    const eta = percent > 0 && percent < 100
+      ? Math.round(elapsedSeconds * (100 - percent) / percent)
+      : null;
+
+    const message = {
+      type: 'transcode-progress',
+      videoId: job.videoId,
+      jobId: job.id,
+      rendition,
+      renditions,
+      renditionIndex: index,
+      percent: Number(percent.toFixed(1)),
+      overallPercent: Number((rendition ? (index * 100 + percent) / renditions.length : percent).toFixed(1)),
+      fps: progress.currentFps ?? null,
+      timemark: progress.timemark ?? null,
+      eta
+    };
+    latestTranscodeProgress.set(job.videoId, message);
+    publishVideoEvent(job.videoId, message);
+  };
+};
+
+// Cut a clip's range out of the original's source. ffmpeg writes next to the
+// final path so an interrupted cut is never mistaken for a finished one.
+const cutClipSource = async (video, outputPath, { reportProgress, signal }) => {
+  const { start, end } = video.clip;
+  const inputPath = video.clip.sourcePath;
+  const originalExists = await fs.access(inputPath).then(() => true).catch(() => false);
+  if (!originalExists) {
+    throw new Error('The original video of this clip has been deleted');
+  }
+
+  const partialPath = outputPath.replace(/\.mkv$/, '.part.mkv');
+  try {
+    const { streamCopy } = await cutClip({
+      inputPath,
+      outputPath: partialPath,
+      start,
+      end,
+      // Shown as a step before the renditions
+      onProgress: (progress) => reportProgress(progress, { rendition: 'cut', index: 0, renditions: ['cut'] }),
+      signal
+    });
+    await fs.rename(partialPath, outputPath);
+    await updateVideo(video.id, { clip: { ...video.clip, streamCopy } });
+  } finally {
+    await fs.rm(partialPath, { force: true });
+  }
+};
+
+// Run one transcoding job with the encoding profile chosen when it was queued
+const runTranscodeJob = async (job, { signal }) => {
+  const { videoId, sourcePath } = job;
+  const profile = getProfile(job.options.profile);
+  const video = await updateVideo(videoId, { status: VIDEO_STATUS.PROCESSING, profile: profile.name, error: null });
+  const reportProgress = createProgressReporter(job);
+
+  // A clip is cut from its original first; a retry reuses a finished cut
+  const sourceExists = await fs.access(sourcePath).then(() => true).catch(() => false);
+  if (video.clip && !sourceExists) {
+    await cutClipSource(video, sourcePath, { reportProgress, signal });
+  }
+
+  await processVideo(sourcePath, videoId, profile, {
+    encrypt: video.encrypted,
+    normalize: video.normalizeAudio,
+    duration: video.clip ? video.clip.end - video.clip.start : undefined,
+    onProgress: reportProgress,
+    signal
+  });
+
+  // Check if the HLS playlist was created
+  const playlistExists = await fs.access(path.join(hlsDir, videoId, 'playlist.m3u8'))
+    .then(() => true)
+    .catch(() => false);
+
+  if (!playlistExists) {
+    throw new Error(`HLS playlist not created for ${videoId}`);
+  }
+
+  await updateVideo(videoId, {
+    status: VIDEO_STATUS.PROCESSED,
+    processedAt: new Date().toISOString()
+  });
+};
+
+// Keep the catalog and clients in step with the job queue
+liveEvents.on('state', (stream) => {
+  publish(`live:${stream.id}`, { type: 'live-state', stream: toLiveStreamResponse(stream) });
+});
+
+// A recorded broadcast is queued like an upload once it has ended
+setRecordingHandler(async (stream, filePath) => {
+  const video = await createVideo({
+    ownerId: stream.ownerId,
+    source: 'live',
+    sourceFilename: stream.title,
+    sourcePath: filePath,
+    profile: stream.profile,
+    encrypted: stream.encrypt,
+    status: VIDEO_STATUS.QUEUED
+  });
+  await enqueueJob({ videoId: video.id, sourcePath: filePath, profile: stream.profile });
+  publish('videos', { type: 'video-added', videoId: video.id }, { userId: stream.ownerId });
+  return video.id;
+});
+
+jobEvents.on('started', (job) => {
+  latestTranscodeProgress.delete(job.videoId);
+  publishVideoEvent(job.videoId, {
+    type: 'processing-started',
+    videoId: job.videoId,
+    message: 'Video processing has started'
+  });
+});
+
+jobEvents.on('completed', (job) => {
+  const video = getVideo(job.videoId);
+  latestTranscodeProgress.delete(job.videoId);
+  // Deleted while it was being processed
+  if (!video) {
+    return;
+  }
+  publishVideoEvent(job.videoId, {
+    type: 'videoProcessed',
+    videoId: job.videoId,
+    ...mediaUrlsFor(video)
+  });
+  publishVideoEvent(job.videoId, {
+    type: 'transcode-complete',
+    videoId: job.videoId,
+    jobId: job.id
+  });
+
+  if (video.source === 'local' && video.ownerId) {
+    publish('videos', {
+      type: 'localVideoProcessed',
+      video: toLocalVideoInfo(video)
+    }, { userId: video.ownerId });
+  }
+  console.log(`%%% SERVER: Notified clients about processed video ${job.videoId}`);
+});
+
+jobEvents.on('retrying', async (job, error) => {
+  await updateVideo(job.videoId, { status: VIDEO_STATUS.QUEUED, error: error.message });
+});
+
+jobEvents.on('failed', async (job, error) => {
+  latestTranscodeProgress.delete(job.videoId);
+  await updateVideo(job.videoId, { status: VIDEO_STATUS.ERROR, error: error.message });
+  publishVideoEvent(job.videoId, {
+    type: 'videoError',
+    videoId: job.videoId,
+    error: error.message
+  });
+});
+
+startJobQueue({
+  concurrency: transcodeConcurrency,
+  maxAttempts: transcodeMaxAttempts,
+  retryDelay: transcodeRetryDelay,
+  handler: runTranscodeJob
+});
+
 server.listen(8000, () => {
   console.log('Server listening at http://localhost:8000');
 });
\ No newline at end of file
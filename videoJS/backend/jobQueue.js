@@ -0,0 +1,251 @@
+import { EventEmitter } from 'node:events';
+import { v4 as uuidv4 } from 'uuid';
+import { readJsonFile, createJsonWriter } from './jsonStore.js';
+
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+// Emits 'started', 'completed', 'retrying', 'failed' and 'cancelled' with the job
+export const jobEvents = new EventEmitter();
+
+const jobs = new Map();
+
+// Running jobs: the controller that aborts the handler and a promise that
+// settles once the handler has stopped
+const runningJobs = new Map();
+let writeJobs = null;
+
+const settings = {
+  concurrency: 1,
+  maxAttempts: 3,
+  retryDelay: 5000,
+  handler: null
+};
+
+let runningCount = 0;
+let wakeTimer = null;
+
+const persist = () => writeJobs({ jobs: Array.from(jobs.values()) });
+
+const touch = (job, changes) => {
+  Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+  return persist();
+};
+
+// Load persisted jobs; anything left running was interrupted by a restart
+export const loadJobQueue = async (filePath) => {
+  writeJobs = createJsonWriter(filePath, 'job queue');
+
+  const data = await readJsonFile(filePath, { jobs: [] });
+  jobs.clear();
+  for (const job of data.jobs) {
+    if (job.status === JOB_STATUS.RUNNING) {
+      job.status = JOB_STATUS.QUEUED;
+      job.nextRunAt = Date.now();
+    }
+    jobs.set(job.id, job);
+  }
+  await persist();
+
+  const pending = Array.from(jobs.values()).filter((job) => job.status === JOB_STATUS.QUEUED);
+  console.log(`%%% SERVER: Loaded ${jobs.size} jobs from queue (${pending.length} pending)`);
+};
+
+// Configure the worker pool and begin processing queued jobs
+export const startJobQueue = ({ concurrency, maxAttempts, retryDelay, handler }) => {
+  Object.assign(settings, {
+    concurrency: Math.max(1, concurrency || settings.concurrency),
+    maxAttempts: Math.max(1, maxAttempts || settings.maxAttempts),
+    retryDelay: retryDelay ?? settings.retryDelay,
+    handler
+  });
+
+  console.log(`%%% SERVER: Job queue started (concurrency: ${settings.concurrency}, max attempts: ${settings.maxAttempts})`);
+  pump();
+};
+
+export const getJob = (jobId) => jobs.get(jobId) || null;
+
+export const findJobByVideo = (videoId) => {
+  for (const job of jobs.values()) {
+    if (job.videoId === videoId) {
+      return job;
+    }
+  }
+  return null;
+};
+
+export const listJobs = () => Array.from(jobs.values())
+  .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+// Queue a transcode for a video. A video only ever has one job: enqueueing it
+// again returns the existing job, and only a job that exhausted its attempts is
+// reset for another round, or a completed one when `rerun` asks to encode the
+// video again. Several users' videos may share a source file.
+export const enqueueJob = async ({ videoId, sourcePath, ...options }, { rerun = false } = {}) => {
+  const existing = findJobByVideo(videoId);
+  const resettable = existing?.status === JOB_STATUS.FAILED || (rerun && existing?.status === JOB_STATUS.COMPLETED);
+
+  if (existing && !resettable) {
+    console.log(`%%% SERVER: Video already has job ${existing.id} (${existing.status}), not enqueueing again`);
+    return existing;
+  }
+
+  if (existing) {
+    const previousStatus = existing.status;
+    await touch(existing, {
+      sourcePath,
+      options,
+      status: JOB_STATUS.QUEUED,
+      attempts: 0,
+      nextRunAt: Date.now(),
+      lastError: null
+    });
+    console.log(`%%% SERVER: Re-queued ${previousStatus} job ${existing.id} for video ${videoId}`);
+    pump();
+    return existing;
+  }
+
+  const now = new Date().toISOString();
+  const job = {
+    id: uuidv4(),
+    videoId,
+    sourcePath,
+    options,
+    status: JOB_STATUS.QUEUED,
+    attempts: 0,
+    maxAttempts: settings.maxAttempts,
+    nextRunAt: Date.now(),
+    lastError: null,
+    createdAt: now,
+    updatedAt: now,
+    startedAt: null,
+    finishedAt: null
+  };
+
+  jobs.set(job.id, job);
+  await persist();
+  console.log(`%%% SERVER: Enqueued job ${job.id} for video ${videoId}`);
+
+  pump();
+  return job;
+};
+
+// Drop a video's job. A running job's handler is aborted (its ffmpeg killed)
+// and waited for, so the caller can clean up after it.
+export const cancelJobForVideo = async (videoId) => {
+  const job = findJobByVideo(videoId);
+  if (!job) {
+    return null;
+  }
+
+  jobs.delete(job.id);
+  await persist();
+
+  const running = runningJobs.get(job.id);
+  if (running) {
+    running.controller.abort();
+    await running.done;
+  }
+
+  console.log(`%%% SERVER: Removed job ${job.id} for video ${videoId}`);
+  return job;
+};
+
+// Exponential backoff: retryDelay, 2x, 4x, ...
+const backoffFor = (attempts) => settings.retryDelay * 2 ** (attempts - 1);
+
+const runJob = async (job) => {
+  runningCount++;
+  await touch(job, {
+    status: JOB_STATUS.RUNNING,
+    attempts: job.attempts + 1,
+    startedAt: new Date().toISOString()
+  });
+  console.log(`%%% SERVER: Running job ${job.id} (attempt ${job.attempts}/${job.maxAttempts})`);
+  jobEvents.emit('started', job);
+
+  const controller = new AbortController();
+  const run = settings.handler(job, { signal: controller.signal });
+  runningJobs.set(job.id, { controller, done: run.catch(() => {}) });
+  let completed = false;
+
+  try {
+    await run;
+    // Cancelled after the handler's last abortable step
+    controller.signal.throwIfAborted();
+    await touch(job, {
+      status: JOB_STATUS.COMPLETED,
+      lastError: null,
+      finishedAt: new Date().toISOString()
+    });
+    console.log(`%%% SERVER: Job ${job.id} completed`);
+    completed = true;
+  } catch (error) {
+    if (controller.signal.aborted) {
+      console.log(`%%% SERVER: Job ${job.id} was cancelled`);
+      jobEvents.emit('cancelled', job);
+    } else if (job.attempts < job.maxAttempts) {
+      const delay = backoffFor(job.attempts);
+      await touch(job, {
+        status: JOB_STATUS.QUEUED,
+        lastError: error.message,
+        nextRunAt: Date.now() + delay
+      });
+      console.error(`%%% SERVER ERROR: Job ${job.id} failed, retrying in ${delay}ms:`, error.message);
+      jobEvents.emit('retrying', job, error);
+    } else {
+      await touch(job, {
+        status: JOB_STATUS.FAILED,
+        lastError: error.message,
+        finishedAt: new Date().toISOString()
+      });
+      console.error(`%%% SERVER ERROR: Job ${job.id} failed permanently:`, error.message);
+      jobEvents.emit('failed', job, error);
+    }
+  } finally {
+    runningJobs.delete(job.id);
+    runningCount--;
+    pump();
+  }
+
+  // Outside the try, so a failing listener can't turn a finished job into a failed one
+  if (completed) {
+    try {
+      jobEvents.emit('completed', job);
+    } catch (error) {
+      console.error(`%%% SERVER ERROR: Handling the completion of job ${job.id} failed:`, error);
+    }
+  }
+};
+
+// Start as many due jobs as the concurrency limit allows, then sleep until the
+// next delayed retry becomes due
+const pump = () => {
+  if (!settings.handler) {
+    return;
+  }
+
+  clearTimeout(wakeTimer);
+  wakeTimer = null;
+
+  const queued = Array.from(jobs.values())
+    .filter((job) => job.status === JOB_STATUS.QUEUED)
+    .sort((a, b) => a.nextRunAt - b.nextRunAt || a.createdAt.localeCompare(b.createdAt));
+
+  const now = Date.now();
+  for (const job of queued) {
+    if (runningCount >= settings.concurrency) {
+      return;
+    }
+    if (job.nextRunAt > now) {
+      wakeTimer = setTimeout(pump, job.nextRunAt - now);
+      return;
+    }
+    runJob(job);
+  }
+};
@@ -0,0 +1,37 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Read a JSON file, falling back when it doesn't exist yet
+export const readJsonFile = async (filePath, fallback) => {
+  try {
+    const content = await fs.readFile(filePath, 'utf8');
+    return JSON.parse(content);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return fallback;
+    }
+    throw error;
+  }
+};
+
+// Create a writer that persists snapshots of a JSON file one at a time
+export const createJsonWriter = (filePath, label) => {
+  // Writes are chained so concurrent updates never interleave on disk
+  let writeChain = Promise.resolve();
+
+  return (data) => {
+    const snapshot = JSON.stringify(data, null, 2);
+    writeChain = writeChain
+      .then(async () => {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        // Write to a temp file and rename so a crash never leaves a half-written file
+        const tmpPath = `${filePath}.tmp`;
+        await fs.writeFile(tmpPath, snapshot);
+        await fs.rename(tmpPath, filePath);
+      })
+      .catch((error) => {
+        console.error(`%%% SERVER ERROR: Failed to persist ${label}:`, error);
+      });
+    return writeChain;
+  };
+};
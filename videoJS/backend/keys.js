@@ -0,0 +1,47 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+// AES-128 content keys live under the data directory, never under publicDir
+let keysDir = null;
+
+export const setKeysDir = async (directory) => {
+  keysDir = directory;
+  await fs.mkdir(keysDir, { recursive: true });
+};
+
+const keyPathFor = (videoId) => path.join(keysDir, `${videoId}.key`);
+const keyInfoPathFor = (videoId) => path.join(keysDir, `${videoId}.keyinfo`);
+
+// Generate a fresh key and IV for a video and write the key info file the HLS
+// muxer reads: key URI for the playlist, key file path, then the IV
+export const createKeyInfo = async (videoId, keyUri) => {
+  const key = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(16).toString('hex');
+
+  await fs.writeFile(keyPathFor(videoId), key, { mode: 0o600 });
+  await fs.writeFile(keyInfoPathFor(videoId), `${keyUri}\n${keyPathFor(videoId)}\n${iv}\n`, { mode: 0o600 });
+
+  return {
+    keyInfoPath: keyInfoPathFor(videoId),
+    key: key.toString('hex'),
+    iv
+  };
+};
+
+export const removeKey = async (videoId) => {
+  await fs.rm(keyPathFor(videoId), { force: true });
+  await fs.rm(keyInfoPathFor(videoId), { force: true });
+};
+
+// The raw 16-byte key, or null if the video was never encrypted
+export const readKey = async (videoId) => {
+  try {
+    return await fs.readFile(keyPathFor(videoId));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+};
@@ -0,0 +1,82 @@
+import { VIDEO_STATUS } from './catalog.js';
+
+// Local source files nobody has queued yet are listed with this status
+export const UNPROCESSED_STATUS = 'unprocessed';
+
+export const LIBRARY_STATUSES = [...Object.values(VIDEO_STATUS), UNPROCESSED_STATUS];
+const LIBRARY_SOURCES = ['upload', 'local', 'clip', 'live'];
+
+// Sort keys clients can ask for, and the entry field each one compares
+const SORT_FIELDS = {
+  date: 'createdAt',
+  name: 'filename',
+  duration: 'duration',
+  resolution: 'height'
+};
+
+// Comma separated query values, e.g. `status=queued,processing`
+export const parseList = (value) => (typeof value === 'string' ? value : '')
+  .split(',')
+  .map((item) => item.trim())
+  .filter(Boolean);
+
+// Problems with a library listing query, or null
+export const checkLibraryQuery = ({ status, source, sort, order }) => {
+  const unknownStatus = parseList(status).find((item) => !LIBRARY_STATUSES.includes(item));
+  if (unknownStatus) {
+    return `Unknown status "${unknownStatus}", expected one of ${LIBRARY_STATUSES.join(', ')}`;
+  }
+  if (source !== undefined && !LIBRARY_SOURCES.includes(source)) {
+    return `Unknown source "${source}", expected one of ${LIBRARY_SOURCES.join(', ')}`;
+  }
+  if (sort !== undefined && !SORT_FIELDS[sort]) {
+    return `Unknown sort "${sort}", expected one of ${Object.keys(SORT_FIELDS).join(', ')}`;
+  }
+  if (order !== undefined && order !== 'asc' && order !== 'desc') {
+    return 'Order must be "asc" or "desc"';
+  }
+  return null;
+};
+
+const compareValues = (a, b) => (typeof a === 'string'
+  ? a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' })
+  : a - b);
+
+// Search, filter, sort and page library entries. Every search word has to
+// appear in the filename. The counts per status ignore the status filter, so
+// a client can show how many entries each filter would leave.
+export const queryLibrary = (entries, { search = '', statuses = [], source, sort = 'date', order = 'desc', page = 1, limit = 24 } = {}) => {
+  const words = search.toLowerCase().split(/\s+/).filter(Boolean);
+  const matching = entries
+    .filter((entry) => !source || entry.source === source)
+    .filter((entry) => words.every((word) => entry.filename.toLowerCase().includes(word)));
+
+  const statusCounts = Object.fromEntries(LIBRARY_STATUSES.map((status) => [status, 0]));
+  for (const entry of matching) {
+    statusCounts[entry.status] += 1;
+  }
+
+  const field = SORT_FIELDS[sort];
+  const direction = order === 'asc' ? 1 : -1;
+  const sorted = matching
+    .filter((entry) => statuses.length === 0 || statuses.includes(entry.status))
+    .sort((a, b) => {
+      // Entries missing the value (a duration not probed yet) go last either way
+      if (a[field] == null || b[field] == null) {
+        return (a[field] == null) - (b[field] == null);
+      }
+      return direction * compareValues(a[field], b[field]);
+    });
+
+  const total = sorted.length;
+  const start = (page - 1) * limit;
+
+  return {
+    videos: sorted.slice(start, start + limit),
+    page,
+    limit,
+    total,
+    totalPages: Math.max(1, Math.ceil(total / limit)),
+    statusCounts
+  };
+};
@@ -0,0 +1,394 @@
+import crypto from 'crypto';
+import { EventEmitter } from 'node:events';
+import { createWriteStream } from 'fs';
+import fs from 'fs/promises';
+import path from 'path';
+import { PassThrough } from 'stream';
+import { finished } from 'stream/promises';
+import ffmpeg from 'fluent-ffmpeg';
+import { v4 as uuidv4 } from 'uuid';
+import { WebSocketServer } from 'ws';
+import { readJsonFile, createJsonWriter } from './jsonStore.js';
+
+export const LIVE_STATUS = {
+  IDLE: 'idle',
+  STARTING: 'starting',
+  LIVE: 'live',
+  ENDED: 'ended'
+};
+
+// The sliding-window playlist of a stream, next to its segments in its HLS directory
+export const LIVE_PLAYLIST = 'live.m3u8';
+
+const SEGMENT_DURATION = 2;
+
+// Segments kept in the live playlist, i.e. how far back viewers can seek
+const WINDOW_SEGMENTS = 30;
+
+// An ingest that sends nothing for this long is treated as gone
+const INGEST_TIMEOUT_MS = 30000;
+
+const INGEST_PATH = /^\/api\/live\/([\w-]+)\/ingest$/;
+
+// Emits 'state' with a stream whenever it changes
+export const liveEvents = new EventEmitter();
+
+const streams = new Map();
+
+// Running ingests by stream id: the ffmpeg command, a function ending the
+// input and a promise that settles once the stream has ended
+const ingests = new Map();
+
+const dirs = { hls: null, recordings: null };
+let writeStreams = null;
+
+// Turns a finished recording into a catalog video and returns its id
+let recordingHandler = async () => null;
+
+export const setRecordingHandler = (handler) => {
+  recordingHandler = handler;
+};
+
+const persist = () => writeStreams({ streams: Array.from(streams.values()) });
+
+const touch = async (stream, changes) => {
+  Object.assign(stream, changes, { updatedAt: new Date().toISOString() });
+  await persist();
+  liveEvents.emit('state', stream);
+};
+
+const outputDirFor = (streamId) => path.join(dirs.hls, streamId);
+const rawRecordingPathFor = (streamId) => path.join(dirs.recordings, `${streamId}.rec`);
+
+// Load persisted streams. Whatever was live when the server went down ended
+// with it; its partial recording is dropped.
+export const loadLiveStreams = async (filePath, { hlsDir, recordingsDir }) => {
+  writeStreams = createJsonWriter(filePath, 'live streams');
+  dirs.hls = hlsDir;
+  dirs.recordings = recordingsDir;
+
+  const data = await readJsonFile(filePath, { streams: [] });
+  streams.clear();
+  for (const stream of data.streams) {
+    if (stream.status === LIVE_STATUS.STARTING || stream.status === LIVE_STATUS.LIVE) {
+      Object.assign(stream, {
+        status: LIVE_STATUS.ENDED,
+        endedAt: new Date().toISOString(),
+        error: 'Interrupted by a server restart'
+      });
+      await fs.rm(rawRecordingPathFor(stream.id), { force: true });
+    }
+    streams.set(stream.id, stream);
+  }
+  await persist();
+
+  console.log(`%%% SERVER: Loaded ${streams.size} live streams`);
+};
+
+export const createLiveStream = async ({ ownerId, title, record, profile, encrypt }) => {
+  const now = new Date().toISOString();
+  const stream = {
+    id: uuidv4(),
+    ownerId,
+    title,
+    // Broadcasters authenticate with this instead of a session, so encoders
+    // outside the browser can push too
+    key: crypto.randomBytes(24).toString('base64url'),
+    record,
+    // Used for the VOD asset made from the recording
+    profile,
+    encrypt,
+    status: LIVE_STATUS.IDLE,
+    videoId: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    startedAt: null,
+    endedAt: null
+  };
+
+  streams.set(stream.id, stream);
+  await persist();
+  return stream;
+};
+
+export const getLiveStream = (streamId) => streams.get(streamId) || null;
+
+// A user's streams, newest first
+export const listLiveStreams = (ownerId) => Array.from(streams.values())
+  .filter((stream) => stream.ownerId === ownerId)
+  .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+// Why an ingest may not start, as `{ status, error }`, or null. A stream is
+// broadcast once; a new broadcast gets a new stream.
+export const checkIngest = (stream, key) => {
+  if (!stream) {
+    return { status: 404, error: 'Stream not found' };
+  }
+
+  const expected = Buffer.from(stream.key);
+  const actual = Buffer.from(String(key || ''));
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { status: 403, error: 'Invalid stream key' };
+  }
+
+  if (stream.status !== LIVE_STATUS.IDLE || ingests.has(stream.id)) {
+    return {
+      status: 409,
+      error: stream.status === LIVE_STATUS.ENDED ? 'This stream has ended' : 'This stream is already live'
+    };
+  }
+  return null;
+};
+
+// Remux the raw recording into Matroska, which gets the duration and index a
+// MediaRecorder file is missing, and hand it over as a VOD asset
+const finishRecording = async (stream) => {
+  const rawPath = rawRecordingPathFor(stream.id);
+  const outputPath = path.join(dirs.recordings, `${stream.id}.mkv`);
+
+  try {
+    await new Promise((resolve, reject) => {
+      ffmpeg(rawPath)
+        .outputOptions('-map', '0:v:0', '-map', '0:a?', '-c', 'copy')
+        .output(outputPath)
+        .on('end', resolve)
+        .on('error', reject)
+        .run();
+    });
+
+    const videoId = await recordingHandler(stream, outputPath);
+    console.log(`%%% SERVER: Recording of live stream ${stream.id} queued as video ${videoId}`);
+    await touch(stream, { videoId });
+  } catch (error) {
+    console.error(`%%% SERVER ERROR: Failed to convert the recording of live stream ${stream.id}:`, error);
+    await fs.rm(outputPath, { force: true });
+    await touch(stream, { error: `The recording could not be saved: ${error.message}` });
+  } finally {
+    await fs.rm(rawPath, { force: true });
+  }
+};
+
+// Start broadcasting a stream checkIngest accepted. The caller writes the
+// media it receives (WebM from MediaRecorder, MPEG-TS, or anything else ffmpeg
+// can probe) to the returned ingest and ends it when the broadcaster is done.
+// ffmpeg encodes it to a sliding-window HLS playlist; `done` settles once the
+// stream has ended.
+export const startIngest = (stream) => {
+  const outputDir = outputDirFor(stream.id);
+  // ffmpeg only starts reading once it runs; the input buffers until then
+  const input = new PassThrough();
+  const recording = stream.record ? createWriteStream(rawRecordingPathFor(stream.id)) : null;
+  let stallTimer = null;
+  // Callers held back until ffmpeg or the recording catch up
+  const waitingForDrain = new Set();
+
+  const end = () => {
+    clearTimeout(stallTimer);
+    for (const release of waitingForDrain) {
+      release();
+    }
+    if (!input.writableEnded) {
+      input.end();
+      recording?.end();
+    }
+  };
+
+  const resetStallTimer = () => {
+    clearTimeout(stallTimer);
+    stallTimer = setTimeout(() => {
+      console.log(`%%% SERVER: Live stream ${stream.id} stalled, ending it`);
+      end();
+    }, INGEST_TIMEOUT_MS);
+  };
+
+  const drain = (target) => new Promise((resolve) => {
+    const release = () => {
+      target.off('drain', release);
+      waitingForDrain.delete(release);
+      resolve();
+    };
+    target.once('drain', release);
+    waitingForDrain.add(release);
+  });
+
+  // Chunks arriving after the stream ended are dropped. Returns a promise when
+  // the caller should stop reading until it resolves, so a broadcaster faster
+  // than ffmpeg doesn't buffer without limit; time spent waiting isn't a stall.
+  const write = (chunk) => {
+    if (input.writableEnded) {
+      return null;
+    }
+    resetStallTimer();
+    const full = [input, recording].filter((target) => target && !target.write(chunk));
+    if (full.length === 0) {
+      return null;
+    }
+
+    clearTimeout(stallTimer);
+    return Promise.all(full.map(drain)).then(() => {
+      if (!input.writableEnded) {
+        resetStallTimer();
+      }
+    });
+  };
+  resetStallTimer();
+
+  const command = ffmpeg(input)
+    .outputOptions(
+      '-map', '0:v:0',
+      '-map', '0:a:0?',
+      '-c:v', 'libx264',
+      '-preset', 'veryfast',
+      '-tune', 'zerolatency',
+      '-pix_fmt', 'yuv420p',
+      // At most 720p, with the even dimensions yuv420p needs
+      '-vf', "scale=-2:'min(720,trunc(ih/2)*2)'",
+      '-force_key_frames', `expr:gte(t,n_forced*${SEGMENT_DURATION})`,
+      '-sc_threshold', '0',
+      '-c:a', 'aac',
+      '-b:a', '128k',
+      '-ac', '2',
+      '-ar', '48000',
+      '-f', 'hls',
+      '-hls_time', String(SEGMENT_DURATION),
+      '-hls_list_size', String(WINDOW_SEGMENTS),
+      '-hls_flags', 'delete_segments+independent_segments',
+      '-hls_segment_filename', path.join(outputDir, 'live_%05d.ts')
+    )
+    .output(path.join(outputDir, LIVE_PLAYLIST));
+
+  const done = (async () => {
+    await fs.rm(outputDir, { recursive: true, force: true });
+    await fs.mkdir(outputDir, { recursive: true });
+    await touch(stream, { status: LIVE_STATUS.STARTING, startedAt: new Date().toISOString(), error: null });
+
+    let error = null;
+    try {
+      await new Promise((resolve, reject) => {
+        command
+          .on('start', (commandLine) => {
+            console.log(`%%% SERVER: FFMPEG live command: ${commandLine}`);
+          })
+          // Viewers are only pointed at the playlist once it exists
+          .on('progress', () => {
+            if (stream.status !== LIVE_STATUS.STARTING) {
+              return;
+            }
+            fs.access(path.join(outputDir, LIVE_PLAYLIST))
+              .then(() => stream.status === LIVE_STATUS.STARTING && touch(stream, { status: LIVE_STATUS.LIVE }))
+              .catch(() => {});
+          })
+          .on('end', resolve)
+          .on('error', reject)
+          .run();
+      });
+    } catch (err) {
+      console.error(`%%% SERVER ERROR: Live stream ${stream.id} failed: ${err.message}`);
+      error = err;
+      end();
+    }
+
+    clearTimeout(stallTimer);
+    if (recording) {
+      await finished(recording).catch(() => {});
+    }
+    ingests.delete(stream.id);
+
+    // Deleted while it was live
+    if (!streams.has(stream.id)) {
+      await fs.rm(rawRecordingPathFor(stream.id), { force: true });
+      return;
+    }
+
+    console.log(`%%% SERVER: Live stream ${stream.id} ended`);
+    await touch(stream, {
+      status: LIVE_STATUS.ENDED,
+      endedAt: new Date().toISOString(),
+      error: error ? `The stream failed: ${error.message}` : null
+    });
+
+    if (recording) {
+      await finishRecording(stream);
+    }
+  })();
+
+  ingests.set(stream.id, { command, end, done });
+  console.log(`%%% SERVER: Live stream ${stream.id} started${stream.record ? ' (recording)' : ''}`);
+
+  return { write, end, done };
+};
+
+// End a running broadcast as if the broadcaster had stopped
+export const stopIngest = (streamId) => {
+  const ingest = ingests.get(streamId);
+  ingest?.end();
+  return ingest?.done ?? null;
+};
+
+// Remove a stream and its live output, killing ffmpeg if it is still running.
+// A VOD asset made from its recording stays in the catalog.
+export const deleteLiveStream = async (streamId) => {
+  const ingest = ingests.get(streamId);
+  streams.delete(streamId);
+  await persist();
+
+  if (ingest) {
+    ingest.command.kill('SIGKILL');
+    await ingest.done.catch(() => {});
+  }
+  await fs.rm(outputDirFor(streamId), { recursive: true, force: true });
+  await fs.rm(rawRecordingPathFor(streamId), { force: true });
+};
+
+// Accept broadcasts over WebSocket on `/api/live/<stream id>/ingest?key=`,
+// one binary message per MediaRecorder chunk
+export const attachLiveIngest = (server) => {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', (request, socket, head) => {
+    const url = new URL(request.url, 'http://localhost');
+    const match = url.pathname.match(INGEST_PATH);
+    if (!match) {
+      return;
+    }
+
+    const stream = getLiveStream(match[1]);
+    const problem = checkIngest(stream, url.searchParams.get('key'));
+    if (problem) {
+      console.log(`%%% SERVER: Rejected live ingest for ${match[1]}: ${problem.error}`);
+      socket.write(`HTTP/1.1 ${problem.status} ${problem.error}\r\nConnection: close\r\n\r\n`);
+      socket.destroy();
+      return;
+    }
+
+    wss.handleUpgrade(request, socket, head, (ws) => {
+      // Another broadcaster may have got in while the upgrade was under way
+      if (checkIngest(stream, url.searchParams.get('key'))) {
+        ws.close(1008, 'This stream is already live');
+        return;
+      }
+
+      const ingest = startIngest(stream);
+      ws.on('message', (data) => {
+        const drained = ingest.write(data);
+        if (drained) {
+          ws.pause();
+          drained.then(() => ws.resume());
+        }
+      });
+      ws.on('close', ingest.end);
+      ws.on('error', (error) => {
+        console.error(`%%% SERVER ERROR: Live ingest WebSocket error for ${stream.id}:`, error);
+      });
+      ingest.done
+        .then(() => ws.close(1000, 'Stream ended'))
+        .catch((error) => {
+          console.error(`%%% SERVER ERROR: Live stream ${stream.id} failed:`, error);
+          ws.close(1011, 'Stream failed');
+        });
+    });
+  });
+
+  return wss;
+};
@@ -0,0 +1,26 @@
+// Run a fluent-ffmpeg command to completion, logging it under `label`
+export const runFfmpeg = (command, label) => new Promise((resolve, reject) => {
+  command
+    .on('start', (commandLine) => {
+      console.log(`%%% SERVER: FFMPEG ${label} command: ${commandLine}`);
+    })
+    .on('end', () => resolve())
+    .on('error', (err) => {
+      console.error(`%%% SERVER ERROR: FFMPEG ${label} error: ${err.message}`);
+      reject(err);
+    })
+    .run();
+});
+
+// WebVTT timestamp (hh:mm:ss.mmm)
+export const toVttTime = (seconds) => {
+  const totalMs = Math.round(seconds * 1000);
+  const hours = String(Math.floor(totalMs / 3600000)).padStart(2, '0');
+  const minutes = String(Math.floor(totalMs / 60000) % 60).padStart(2, '0');
+  const secs = String(Math.floor(totalMs / 1000) % 60).padStart(2, '0');
+  const ms = String(totalMs % 1000).padStart(3, '0');
+  return `${hours}:${minutes}:${secs}.${ms}`;
+};
+
+// Round a dimension to an even number of pixels, as x264 and 4:2:0 JPEG need
+export const even = (value) => Math.max(2, Math.round(value / 2) * 2);
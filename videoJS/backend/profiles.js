@@ -0,0 +1,85 @@
+import { readJsonFile } from './jsonStore.js';
+
+const SUPPORTED_VIDEO_CODECS = ['libx264', 'libx265'];
+const SUPPORTED_AUDIO_CODECS = ['aac'];
+
+// MPEG-TS segments with an HLS playlist, or CMAF fMP4 segments shared by an HLS
+// playlist and a DASH manifest
+const SUPPORTED_PACKAGING = ['ts', 'cmaf'];
+
+let defaultProfile = null;
+const profiles = new Map();
+
+// Reject a profile that the encoder couldn't run
+const validateProfile = (name, profile) => {
+  const problems = [];
+
+  if (!SUPPORTED_VIDEO_CODECS.includes(profile.video?.codec)) {
+    problems.push(`video.codec must be one of ${SUPPORTED_VIDEO_CODECS.join(', ')}`);
+  }
+  if (!SUPPORTED_AUDIO_CODECS.includes(profile.audio?.codec)) {
+    problems.push(`audio.codec must be one of ${SUPPORTED_AUDIO_CODECS.join(', ')}`);
+  }
+  if (profile.packaging !== undefined && !SUPPORTED_PACKAGING.includes(profile.packaging)) {
+    problems.push(`packaging must be one of ${SUPPORTED_PACKAGING.join(', ')}`);
+  }
+  if (!(profile.segmentDuration > 0)) {
+    problems.push('segmentDuration must be a positive number of seconds');
+  }
+  if (!(profile.keyframeInterval > 0) || profile.segmentDuration % profile.keyframeInterval !== 0) {
+    problems.push('keyframeInterval must be a positive number of seconds dividing segmentDuration');
+  }
+  if (!Array.isArray(profile.renditions) || profile.renditions.length === 0) {
+    problems.push('renditions must list at least one rendition');
+  } else {
+    for (const rendition of profile.renditions) {
+      if (!rendition.name || !(rendition.height > 0) || !(rendition.videoBitrate > 0)) {
+        problems.push('every rendition needs a name, a height and a videoBitrate');
+        break;
+      }
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid encoding profile "${name}": ${problems.join('; ')}`);
+  }
+};
+
+// Load and validate the named encoding profiles from the config file
+export const loadProfiles = async (filePath) => {
+  const config = await readJsonFile(filePath, null);
+  if (!config) {
+    throw new Error(`Encoding profiles config not found: ${filePath}`);
+  }
+
+  profiles.clear();
+  for (const [name, profile] of Object.entries(config.profiles || {})) {
+    validateProfile(name, profile);
+    // Lowest rendition first so the ladder can be trimmed to the source height
+    const renditions = [...profile.renditions].sort((a, b) => a.height - b.height);
+    profiles.set(name, { name, packaging: 'ts', ...profile, renditions });
+  }
+
+  if (!profiles.has(config.defaultProfile)) {
+    throw new Error(`Default encoding profile "${config.defaultProfile}" is not defined`);
+  }
+  defaultProfile = config.defaultProfile;
+
+  console.log(`%%% SERVER: Loaded encoding profiles: ${Array.from(profiles.keys()).join(', ')} (default: ${defaultProfile})`);
+};
+
+export const hasProfile = (name) => profiles.has(name);
+
+// Resolve a profile by name, falling back to the default when none was chosen
+export const getProfile = (name) => {
+  const profile = profiles.get(name || defaultProfile);
+  if (!profile) {
+    throw new Error(`Unknown encoding profile: ${name}`);
+  }
+  return profile;
+};
+
+export const listProfiles = () => ({
+  defaultProfile,
+  profiles: Array.from(profiles.values())
+});
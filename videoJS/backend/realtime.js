@@ -0,0 +1,194 @@
+import { v4 as uuidv4 } from 'uuid';
+import { WebSocketServer } from 'ws';
+
+// Topics clients may subscribe to: a single video, a single tus upload, a
+// single live stream, or catalog-wide changes
+const TOPIC_PATTERN = /^(?:(?:video|upload|live):[\w-]+|videos)$/;
+
+// Store WebSocket connections
+const clients = new Map();
+
+// Produces the messages replayed to a client when it subscribes to a topic
+let replayProvider = () => [];
+
+// Decides (possibly asynchronously) whether a user may follow a topic
+let topicAuthorizer = () => true;
+
+export const setReplayProvider = (provider) => {
+  replayProvider = provider;
+};
+
+export const setTopicAuthorizer = (authorizer) => {
+  topicAuthorizer = authorizer;
+};
+
+const send = (client, message) => {
+  if (client.ws.readyState === 1) { // 1 = WebSocket.OPEN
+    client.ws.send(JSON.stringify(message));
+  }
+};
+
+// Send a message to every client subscribed to the topic, or only to the given
+// user's clients on shared topics such as `videos`
+export const publish = (topic, message, { userId } = {}) => {
+  const payload = JSON.stringify({ ...message, topic });
+
+  clients.forEach((client) => {
+    if (userId && client.userId !== userId) {
+      return;
+    }
+    if (client.topics.has(topic) && client.ws.readyState === 1) {
+      client.ws.send(payload);
+    }
+  });
+};
+
+const handleSubscribe = (client, topics) => {
+  for (const topic of topics) {
+    client.topics.add(topic);
+
+    // Replay the last known state so a reconnecting client catches up
+    for (const message of replayProvider(topic)) {
+      send(client, { ...message, topic, replay: true });
+    }
+  }
+  send(client, { type: 'subscribed', topics });
+};
+
+const handleUnsubscribe = (client, topics) => {
+  for (const topic of topics) {
+    client.topics.delete(topic);
+  }
+  send(client, { type: 'unsubscribed', topics });
+};
+
+// Topics that are invalid or not allowed are reported and left out; the rest
+// of the message still goes through
+const handleMessage = async (client, data) => {
+  const requestedTopics = Array.isArray(data.topics) ? data.topics : [];
+  const invalidTopics = requestedTopics.filter((topic) => !TOPIC_PATTERN.test(topic));
+  const validTopics = requestedTopics.filter((topic) => TOPIC_PATTERN.test(topic));
+
+  if (invalidTopics.length > 0) {
+    send(client, { type: 'error', error: `Invalid topics: ${invalidTopics.join(', ')}` });
+  }
+
+  const allowed = data.type === 'subscribe'
+    ? await Promise.all(validTopics.map((topic) => topicAuthorizer(client.userId, topic)))
+    : validTopics.map(() => true);
+  const forbiddenTopics = validTopics.filter((_, i) => !allowed[i]);
+  const topics = validTopics.filter((_, i) => allowed[i]);
+
+  if (forbiddenTopics.length > 0) {
+    send(client, { type: 'error', error: `Not allowed to follow: ${forbiddenTopics.join(', ')}` });
+  }
+
+  switch (data.type) {
+    case 'subscribe':
+      handleSubscribe(client, topics);
+      break;
+    case 'unsubscribe':
+      handleUnsubscribe(client, topics);
+      break;
+    default:
+      send(client, { type: 'error', error: `Unknown message type: ${data.type}` });
+  }
+};
+
+// Accept WebSocket connections on the given path of an HTTP server from
+// requests `authenticate` resolves to a user id
+export const attachRealtime = (server, { path, authenticate }) => {
+  const wss = new WebSocketServer({ noServer: true });
+
+  // Handle WebSocket upgrade
+  server.on('upgrade', (request, socket, head) => {
+    if (request.url === path) {
+      console.log('%%% SERVER: WebSocket upgrade request received');
+
+      let userId = null;
+      try {
+        userId = authenticate(request);
+      } catch (error) {
+        console.error('%%% SERVER ERROR: Failed to authenticate WebSocket upgrade:', error);
+      }
+      if (!userId) {
+        console.log('%%% SERVER: Rejected unauthenticated WebSocket upgrade');
+        socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+        socket.destroy();
+        return;
+      }
+
+      wss.handleUpgrade(request, socket, head, (ws) => {
+        const clientId = uuidv4();
+        const client = {
+          id: clientId,
+          userId,
+          ws,
+          isAlive: true,
+          timestamp: Date.now(),
+          topics: new Set()
+        };
+        clients.set(clientId, client);
+
+        console.log(`%%% SERVER: WebSocket client connected (ID: ${clientId}, user: ${userId}), total clients: ${clients.size}`);
+
+        // Setup ping-pong for connection health check
+        ws.on('pong', () => {
+          client.isAlive = true;
+        });
+
+        // Handle client messages
+        ws.on('message', (message) => {
+          try {
+            const data = JSON.parse(message);
+            console.log(`%%% SERVER: Received message from client ${clientId}:`, data);
+            if (!data || typeof data !== 'object' || Array.isArray(data)) {
+              send(client, { type: 'error', error: 'Invalid message' });
+              return;
+            }
+            handleMessage(client, data).catch((error) => {
+              console.error(`%%% SERVER ERROR: Failed to handle message from client ${clientId}:`, error);
+              send(client, { type: 'error', error: 'Failed to handle message' });
+            });
+          } catch (error) {
+            console.error(`%%% SERVER ERROR: Invalid message from client ${clientId}:`, error);
+            send(client, { type: 'error', error: 'Invalid message' });
+          }
+        });
+
+        ws.on('error', (error) => {
+          console.error(`%%% SERVER ERROR: WebSocket error for client ${clientId}:`, error);
+        });
+
+        ws.on('close', () => {
+          console.log(`%%% SERVER: WebSocket client disconnected (ID: ${clientId})`);
+          clients.delete(clientId);
+        });
+
+        wss.emit('connection', ws, request);
+      });
+    }
+  });
+
+  // Ping all clients every 30 seconds to keep connections alive
+  const pingInterval = setInterval(() => {
+    clients.forEach((client, id) => {
+      if (client.isAlive === false) {
+        console.log(`%%% SERVER: Terminating inactive client: ${id}`);
+        client.ws.terminate();
+        clients.delete(id);
+        return;
+      }
+
+      client.isAlive = false;
+      client.ws.ping();
+    });
+  }, 30000);
+
+  // Clean up interval on server close
+  server.on('close', () => {
+    clearInterval(pingInterval);
+  });
+
+  return wss;
+};
@@ -0,0 +1,94 @@
+import crypto from 'crypto';
+
+const SESSION_COOKIE = 'vsid';
+const SESSION_TTL = 7 * 24 * 60 * 60 * 1000;
+
+// Sessions only live in memory; a restart means signing in again
+const sessions = new Map();
+
+// Cookies of a request, skipping values that aren't validly percent-encoded
+const parseCookies = (header = '') => Object.fromEntries(
+  header
+    .split(';')
+    .map((part) => part.trim())
+    .filter((part) => part.includes('='))
+    .flatMap((part) => {
+      const separator = part.indexOf('=');
+      try {
+        return [[part.slice(0, separator), decodeURIComponent(part.slice(separator + 1))]];
+      } catch {
+        return [];
+      }
+    })
+);
+
+const isExpired = (session) => session.expiresAt <= Date.now();
+
+// The browser session making this request, if it has a live one. Works for
+// Node requests as well as the web Requests the tus server hands to its hooks.
+export const findSession = (req) => {
+  const cookieHeader = typeof req.headers.get === 'function'
+    ? req.headers.get('cookie')
+    : req.headers.cookie;
+  const sessionId = parseCookies(cookieHeader || '')[SESSION_COOKIE];
+  const session = sessionId ? sessions.get(sessionId) : null;
+
+  if (!session || isExpired(session)) {
+    return null;
+  }
+  return session;
+};
+
+const cookieOptions = {
+  httpOnly: true,
+  sameSite: 'lax'
+};
+
+const createSession = (res, userId) => {
+  const session = {
+    id: crypto.randomBytes(32).toString('base64url'),
+    userId,
+    grants: new Map(),
+    expiresAt: Date.now() + SESSION_TTL
+  };
+  sessions.set(session.id, session);
+
+  res.cookie(SESSION_COOKIE, session.id, { ...cookieOptions, maxAge: SESSION_TTL });
+  return session;
+};
+
+// Reuse the request's session or start one and set its cookie
+export const ensureSession = (req, res) => findSession(req) || createSession(res, null);
+
+// Sign a user in with a fresh session id, dropping any session the request had
+export const startSession = (req, res, userId) => {
+  endSession(req, res);
+  return createSession(res, userId);
+};
+
+export const endSession = (req, res) => {
+  const session = findSession(req);
+  if (session) {
+    sessions.delete(session.id);
+  }
+  res.clearCookie(SESSION_COOKIE, cookieOptions);
+};
+
+// Allow a session to fetch a video's decryption key for a while
+export const grantPlayback = (session, videoId, ttl) => {
+  session.grants.set(videoId, Date.now() + ttl);
+};
+
+export const hasPlaybackGrant = (session, videoId) => {
+  const expiresAt = session?.grants.get(videoId);
+  return Boolean(expiresAt && expiresAt > Date.now());
+};
+
+// Drop expired sessions so the map doesn't grow forever
+setInterval(() => {
+  for (const [id, session] of sessions) {
+    if (isExpired(session)) {
+      sessions.delete(id);
+    }
+  }
+}, 60 * 60 * 1000).unref();
@@ -0,0 +1,91 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+
+// HMAC secret for streaming URLs. Without URL_SIGNING_SECRET one is generated
+// and kept on disk so handed-out URLs survive a restart.
+let secret = null;
+
+export const loadSigningSecret = async (filePath) => {
+  if (process.env.URL_SIGNING_SECRET) {
+    secret = process.env.URL_SIGNING_SECRET;
+    return;
+  }
+
+  try {
+    secret = (await fs.readFile(filePath, 'utf8')).trim();
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+    secret = crypto.randomBytes(32).toString('hex');
+    await fs.writeFile(filePath, `${secret}\n`, { mode: 0o600 });
+    console.log('%%% SERVER: Generated a new URL signing secret');
+  }
+};
+
+const signatureFor = (videoId, expiresAt) => crypto
+  .createHmac('sha256', secret)
+  .update(`${videoId}:${expiresAt}`)
+  .digest('base64url');
+
+// A token granting access to every file of one video until it expires:
+// "<expiry in ms>.<signature>"
+export const createToken = (videoId, ttl) => {
+  const expiresAt = Date.now() + ttl;
+  return `${expiresAt}.${signatureFor(videoId, expiresAt)}`;
+};
+
+export const verifyToken = (videoId, token) => {
+  const [expiresAt, signature] = String(token || '').split('.');
+  if (!expiresAt || !signature || Number(expiresAt) <= Date.now()) {
+    return false;
+  }
+
+  const expected = Buffer.from(signatureFor(videoId, expiresAt));
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Append the token to a URI relative to the manifest; absolute URIs (such as the
+// key endpoint) point elsewhere and are left alone
+export const withToken = (uri, token) => {
+  if (/^(?:[a-z][a-z\d+.-]*:|\/)/i.test(uri)) {
+    return uri;
+  }
+
+  const [resource, fragment] = uri.split('#');
+  const separator = resource.includes('?') ? '&' : '?';
+  return `${resource}${separator}token=${encodeURIComponent(token)}${fragment !== undefined ? `#${fragment}` : ''}`;
+};
+
+// Make every file an HLS playlist, DASH manifest or WebVTT thumbnails track
+// references carry the token it was requested with
+export const signManifest = (content, extension, token) => {
+  switch (extension) {
+    case '.m3u8':
+      return content
+        .split('\n')
+        .map((line) => {
+          const trimmed = line.trim();
+          if (trimmed && !trimmed.startsWith('#')) {
+            return withToken(trimmed, token);
+          }
+          return line.replace(/URI="([^"]+)"/g, (_, uri) => `URI="${withToken(uri, token)}"`);
+        })
+        .join('\n');
+    case '.mpd':
+      return content.replace(
+        /\b(initialization|media)="([^"]+)"/g,
+        (_, attribute, uri) => `${attribute}="${withToken(uri, token).replace(/&/g, '&amp;')}"`
+      );
+    case '.vtt':
+      return content
+        .split('\n')
+        .map((line) => (/^[^\s#]+\.(?:jpg|jpeg|png|webp)(?:#\S*)?$/i.test(line.trim())
+          ? withToken(line.trim(), token)
+          : line))
+        .join('\n');
+    default:
+      return content;
+  }
+};
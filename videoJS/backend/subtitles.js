@@ -0,0 +1,157 @@
+import fs from 'fs/promises';
+import path from 'path';
+import ffmpeg from 'fluent-ffmpeg';
+import { runFfmpeg, toVttTime } from './mediaHelpers.js';
+
+// Subtitle segments don't have to line up with media segments, so keep them
+// long enough that an hour of captions is only a hundred or so files
+const SUBTITLE_SEGMENT_DURATION = 30;
+
+// Embedded subtitle codecs ffmpeg can turn into WebVTT. Bitmap subtitles
+// (PGS, DVB, VobSub) would need OCR and are skipped.
+const TEXT_SUBTITLE_CODECS = ['subrip', 'srt', 'ass', 'ssa', 'webvtt', 'mov_text', 'text'];
+
+// Language tags worth passing on to players (ISO 639 / BCP 47 style)
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(?:-[a-z0-9]{2,8})*$/i;
+
+const TIMING_PATTERN = /^((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})\s+-->\s+((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})(.*)$/;
+
+// MPEG-TS timestamps tick at 90 kHz
+const MPEGTS_CLOCK = 90000;
+
+// Seconds from an SRT (00:00:01,500) or WebVTT (00:01.500) timestamp
+const parseTimestamp = (value) => value
+  .replace(',', '.')
+  .split(':')
+  .reduce((total, part) => total * 60 + Number(part), 0);
+
+const splitBlocks = (text) => text
+  .replace(/^\uFEFF/, '')
+  .replace(/\r\n?/g, '\n')
+  .split(/\n{2,}/)
+  .map((block) => block.split('\n').filter((line) => line.trim() !== ''))
+  .filter((lines) => lines.length > 0);
+
+// Cues of an SRT or WebVTT file as { start, end, settings, lines }. SRT numbering,
+// ASS override tags and WebVTT NOTE, STYLE and REGION blocks are dropped.
+export const parseSubtitles = (text) => {
+  const cues = [];
+
+  for (const lines of splitBlocks(text)) {
+    const timingIndex = lines.findIndex((line) => TIMING_PATTERN.test(line.trim()));
+    if (timingIndex === -1 || timingIndex > 1) {
+      continue; // Header, comment or style block
+    }
+
+    const [, start, end, rest] = lines[timingIndex].trim().match(TIMING_PATTERN);
+    // SRT can append pixel coordinates (X1:..) that mean nothing to WebVTT
+    const settings = rest.trim().split(/\s+/).filter((setting) => /^(?:vertical|line|position|size|align|region):/.test(setting));
+    const cueLines = lines
+      .slice(timingIndex + 1)
+      .map((line) => line.replace(/\{\\[^}]*\}/g, ''));
+
+    const cue = {
+      start: parseTimestamp(start),
+      end: parseTimestamp(end),
+      settings: settings.join(' '),
+      lines: cueLines
+    };
+    if (cue.end > cue.start && cueLines.length > 0) {
+      cues.push(cue);
+    }
+  }
+
+  return cues.sort((a, b) => a.start - b.start);
+};
+
+export const isValidLanguage = (language) => typeof language === 'string' && LANGUAGE_PATTERN.test(language);
+
+const formatCue = ({ start, end, settings, lines }) =>
+  `${toVttTime(start)} --> ${toVttTime(end)}${settings ? ` ${settings}` : ''}\n${lines.join('\n')}\n`;
+
+// A WebVTT document. Segments say where cue time 0 falls in the media
+// timeline so players can line them up with the video.
+const toWebVtt = (cues, timestampOffset = null) => {
+  let vtt = 'WEBVTT\n';
+  if (timestampOffset !== null) {
+    vtt += `X-TIMESTAMP-MAP=MPEGTS:${Math.round(timestampOffset * MPEGTS_CLOCK)},LOCAL:00:00:00.000\n`;
+  }
+  return `${vtt}\n${cues.map(formatCue).join('\n')}`;
+};
+
+const filePrefixFor = (subtitleId) => `subs_${subtitleId}`;
+
+// Write a subtitle track next to the HLS output: the whole track as one WebVTT
+// file (for DASH players and downloads) plus the WebVTT segments and media
+// playlist an HLS SUBTITLES group points at. Cues spanning a segment boundary
+// are repeated in both segments, as HLS expects.
+export const writeSubtitleTrack = async ({ outputDir, subtitleId, cues, duration, timestampOffset = 0 }) => {
+  const prefix = filePrefixFor(subtitleId);
+  const lastCueEnd = cues.reduce((latest, cue) => Math.max(latest, cue.end), 0);
+  const totalDuration = Math.max(Number(duration) || 0, lastCueEnd, 1);
+  const segmentCount = Math.ceil(totalDuration / SUBTITLE_SEGMENT_DURATION);
+
+  let playlist = '#EXTM3U\n' +
+    `#EXT-X-TARGETDURATION:${SUBTITLE_SEGMENT_DURATION}\n` +
+    '#EXT-X-VERSION:3\n' +
+    '#EXT-X-MEDIA-SEQUENCE:0\n' +
+    '#EXT-X-PLAYLIST-TYPE:VOD\n';
+
+  for (let i = 0; i < segmentCount; i++) {
+    const segmentStart = i * SUBTITLE_SEGMENT_DURATION;
+    const segmentEnd = Math.min(totalDuration, segmentStart + SUBTITLE_SEGMENT_DURATION);
+    const segmentCues = cues.filter((cue) => cue.start < segmentEnd && cue.end > segmentStart);
+    const segmentName = `${prefix}_${String(i).padStart(3, '0')}.vtt`;
+
+    await fs.writeFile(path.join(outputDir, segmentName), toWebVtt(segmentCues, timestampOffset));
+    playlist += `#EXTINF:${(segmentEnd - segmentStart).toFixed(3)},\n${segmentName}\n`;
+  }
+  playlist += '#EXT-X-ENDLIST\n';
+
+  await fs.writeFile(path.join(outputDir, `${prefix}.vtt`), toWebVtt(cues));
+  await fs.writeFile(path.join(outputDir, `${prefix}.m3u8`), playlist);
+
+  return {
+    playlist: `${prefix}.m3u8`,
+    file: `${prefix}.vtt`,
+    cues: cues.length
+  };
+};
+
+// Remove every file of a subtitle track
+export const removeSubtitleTrack = async (outputDir, subtitleId) => {
+  const trackFile = new RegExp(`^${filePrefixFor(subtitleId)}(?:_\\d{3})?\\.(?:vtt|m3u8)$`);
+  const files = await fs.readdir(outputDir).catch(() => []);
+
+  await Promise.all(files
+    .filter((file) => trackFile.test(file))
+    .map((file) => fs.rm(path.join(outputDir, file), { force: true })));
+};
+
+// Text subtitle streams of a probed source
+export const findTextSubtitleStreams = (metadata) => metadata.streams
+  .filter((stream) => stream.codec_type === 'subtitle')
+  .filter((stream) => {
+    if (TEXT_SUBTITLE_CODECS.includes(stream.codec_name)) {
+      return true;
+    }
+    console.log(`%%% SERVER: Skipping ${stream.codec_name} subtitle stream #${stream.index}, only text subtitles can be extracted`);
+    return false;
+  });
+
+// Convert one embedded subtitle stream to WebVTT cues
+export const extractSubtitleStream = async ({ inputPath, outputDir, stream }) => {
+  const tempPath = path.join(outputDir, `embedded_${stream.index}.vtt`);
+
+  try {
+    await runFfmpeg(
+      ffmpeg(inputPath)
+        .outputOptions('-map', `0:${stream.index}`, '-c:s', 'webvtt')
+        .output(tempPath),
+      `subtitle #${stream.index}`
+    );
+    return parseSubtitles(await fs.readFile(tempPath, 'utf8'));
+  } finally {
+    await fs.rm(tempPath, { force: true });
+  }
+};
@@ -0,0 +1,78 @@
+import fs from 'fs/promises';
+import path from 'path';
+import ffmpeg from 'fluent-ffmpeg';
+import { even, runFfmpeg, toVttTime } from './mediaHelpers.js';
+
+// Scrub preview tiles: width in pixels and how many go on one sprite sheet
+const THUMBNAIL_WIDTH = 160;
+const SPRITE_COLUMNS = 10;
+const SPRITE_ROWS = 10;
+
+// Keep long videos to a few sprite sheets by spacing thumbnails further apart
+const MAX_THUMBNAILS = 300;
+const MIN_THUMBNAIL_INTERVAL = 2;
+
+// Grab a single frame a little way in, past any fade from black
+export const generatePoster = async ({ inputPath, outputDir, duration, width, height }) => {
+  const seekTo = duration > 0 ? Math.min(duration * 0.1, 10) : 0;
+
+  await runFfmpeg(
+    ffmpeg(inputPath)
+      .seekInput(seekTo)
+      .outputOptions(
+        '-frames:v', '1',
+        '-vf', `scale=w=${width}:h=${height}`,
+        '-q:v', '2'
+      )
+      .output(path.join(outputDir, 'poster.jpg')),
+    'poster'
+  );
+
+  return 'poster.jpg';
+};
+
+// Tile evenly spaced frames into sprite sheets and describe every tile in a
+// WebVTT thumbnails track (`sprite_N.jpg#xywh=x,y,w,h` per cue)
+export const generateThumbnailTrack = async ({ inputPath, outputDir, duration, width, height }) => {
+  const interval = Math.max(MIN_THUMBNAIL_INTERVAL, Math.ceil(duration / MAX_THUMBNAILS));
+  const tileWidth = THUMBNAIL_WIDTH;
+  const tileHeight = even(THUMBNAIL_WIDTH * height / width);
+  const perSheet = SPRITE_COLUMNS * SPRITE_ROWS;
+  // The fps filter rounds to the nearest output frame, so a trailing partial
+  // interval only gets its own tile past the halfway point
+  const count = Math.max(1, Math.round(duration / interval));
+
+  await runFfmpeg(
+    ffmpeg(inputPath)
+      .outputOptions(
+        '-vf', `fps=1/${interval},scale=w=${tileWidth}:h=${tileHeight},tile=${SPRITE_COLUMNS}x${SPRITE_ROWS}`,
+        '-q:v', '4',
+        '-start_number', '0'
+      )
+      .output(path.join(outputDir, 'sprite_%d.jpg')),
+    'sprite'
+  );
+
+  let track = 'WEBVTT\n';
+  for (let i = 0; i < count; i++) {
+    const sheet = Math.floor(i / perSheet);
+    const tile = i % perSheet;
+    const x = (tile % SPRITE_COLUMNS) * tileWidth;
+    const y = Math.floor(tile / SPRITE_COLUMNS) * tileHeight;
+    const start = i * interval;
+    const end = i === count - 1 ? duration : (i + 1) * interval;
+
+    track += `\n${toVttTime(start)} --> ${toVttTime(end)}\n` +
+      `sprite_${sheet}.jpg#xywh=${x},${y},${tileWidth},${tileHeight}\n`;
+  }
+
+  await fs.writeFile(path.join(outputDir, 'thumbnails.vtt'), track);
+
+  return {
+    track: 'thumbnails.vtt',
+    sheets: Math.ceil(count / perSheet),
+    interval,
+    width: tileWidth,
+    height: tileHeight
+  };
+};
@@ -0,0 +1,85 @@
+import fs from 'fs/promises';
+import path from 'path';
+import ffmpeg from 'fluent-ffmpeg';
+import { fileTypeFromFile } from 'file-type';
+import { probeVideo } from './encoder.js';
+
+// Containers we accept, by the extension of the uploaded file's name
+export const VIDEO_EXTENSIONS = ['.mp4', '.mov', '.avi', '.mkv', '.webm', '.flv', '.wmv', '.m4v'];
+
+// Longest source we are willing to transcode
+const MAX_DURATION = parseInt(process.env.MAX_VIDEO_DURATION_S, 10) || 6 * 60 * 60;
+
+// Problems with the filename an upload announces in its metadata, or null
+export const checkUploadFilename = (filename) => {
+  if (!filename) {
+    return 'The upload needs a filename';
+  }
+  const extension = path.extname(filename).toLowerCase();
+  if (!VIDEO_EXTENSIONS.includes(extension)) {
+    return `Unsupported file type "${extension || filename}", expected one of ${VIDEO_EXTENSIONS.join(', ')}`;
+  }
+  return null;
+};
+
+// Problems with a received file, or null if it is a playable video: the
+// container is sniffed from its bytes (the name may lie) and ffprobe has to
+// find a video stream and a sane duration in it
+export const checkVideoFile = async (filePath) => {
+  const type = await fileTypeFromFile(filePath).catch(() => null);
+  if (!type || !type.mime.startsWith('video/')) {
+    return `Not a video file (detected ${type ? type.mime : 'unknown content'})`;
+  }
+
+  let metadata;
+  try {
+    metadata = await probeVideo(filePath);
+  } catch (error) {
+    console.error(`%%% SERVER ERROR: ffprobe failed for ${filePath}:`, error.message);
+    return 'The video file is corrupt or unreadable';
+  }
+
+  const videoStream = metadata.streams.find((stream) => stream.codec_type === 'video');
+  if (!videoStream || !(videoStream.width > 0) || !(videoStream.height > 0)) {
+    return 'The file has no video stream';
+  }
+
+  const duration = Number(metadata.format?.duration);
+  if (!Number.isFinite(duration) || duration <= 0) {
+    return 'The video has no readable duration';
+  }
+  if (duration > MAX_DURATION) {
+    return `The video is longer than the ${Math.round(MAX_DURATION / 60)} minute limit`;
+  }
+
+  return null;
+};
+
+// Browser recordings (MediaRecorder WebM) are written as they are made and
+// carry no duration or seek index. Remux such a file into Matroska at
+// `remuxedPath`, which adds both, so it passes checkVideoFile and seeks like
+// any upload. The upload itself is left as tus stored it. Returns the file to
+// use from now on.
+export const addMissingDuration = async (filePath, remuxedPath) => {
+  const metadata = await probeVideo(filePath).catch(() => null);
+  if (!metadata || Number(metadata.format?.duration) > 0) {
+    return filePath;
+  }
+
+  try {
+    await new Promise((resolve, reject) => {
+      ffmpeg(filePath)
+        .outputOptions('-map', '0', '-c', 'copy', '-f', 'matroska')
+        .output(remuxedPath)
+        .on('end', resolve)
+        .on('error', reject)
+        .run();
+    });
+    console.log(`%%% SERVER: Added the missing duration to ${filePath} in ${remuxedPath}`);
+    return remuxedPath;
+  } catch (error) {
+    console.error(`%%% SERVER ERROR: Failed to remux ${filePath}:`, error.message);
+    await fs.rm(remuxedPath, { force: true });
+    return filePath;
+  }
+};
@@ -0,0 +1,98 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { v4 as uuidv4 } from 'uuid';
+import { readJsonFile, createJsonWriter } from './jsonStore.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+const users = new Map();
+let writeUsers = null;
+
+const persist = () => writeUsers({ users: Array.from(users.values()) });
+
+export const loadUsers = async (filePath) => {
+  writeUsers = createJsonWriter(filePath, 'users');
+
+  const data = await readJsonFile(filePath, { users: [] });
+  users.clear();
+  for (const user of data.users) {
+    users.set(user.id, user);
+  }
+  console.log(`%%% SERVER: Loaded ${users.size} users`);
+};
+
+const hashPassword = async (password, salt) => {
+  const hash = await scrypt(password, salt, 64);
+  return hash.toString('hex');
+};
+
+const findUserByUsername = (username) => {
+  const wanted = username.toLowerCase();
+  for (const user of users.values()) {
+    if (user.username.toLowerCase() === wanted) {
+      return user;
+    }
+  }
+  return null;
+};
+
+// What the API and WebSocket may expose about a user
+export const toPublicUser = (user) => ({
+  id: user.id,
+  username: user.username,
+  createdAt: user.createdAt
+});
+
+export const getUser = (userId) => users.get(userId) || null;
+
+// Problems with a registration, or null if it can go ahead
+export const validateRegistration = ({ username, password }) => {
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+    return 'Username must be 3-32 letters, digits, dots, dashes or underscores';
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  if (findUserByUsername(username)) {
+    return 'Username is already taken';
+  }
+  return null;
+};
+
+// The new user, or null if someone registered the username while the password
+// was being hashed. The check and the insert run without an await in between,
+// so two registrations of one name can't both get through.
+export const createUser = async ({ username, password }) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const passwordHash = await hashPassword(password, salt);
+  if (findUserByUsername(username)) {
+    return null;
+  }
+
+  const user = {
+    id: uuidv4(),
+    username,
+    passwordSalt: salt,
+    passwordHash,
+    createdAt: new Date().toISOString()
+  };
+  users.set(user.id, user);
+  await persist();
+  console.log(`%%% SERVER: Registered user ${username} (${user.id})`);
+  return user;
+};
+
+// The user for a username and password, or null if they don't match
+export const verifyCredentials = async (username, password) => {
+  const user = typeof username === 'string' ? findUserByUsername(username) : null;
+  if (!user || typeof password !== 'string') {
+    return null;
+  }
+
+  const expected = Buffer.from(user.passwordHash, 'hex');
+  const actual = Buffer.from(await hashPassword(password, user.passwordSalt), 'hex');
+  return crypto.timingSafeEqual(expected, actual) ? user : null;
+};
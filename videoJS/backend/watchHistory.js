@@ -0,0 +1,99 @@
+import { readJsonFile, createJsonWriter } from './jsonStore.js';
+
+// Positions this close to the end count as having watched the video
+const COMPLETION_MARGIN_S = 10;
+const COMPLETION_RATIO = 0.95;
+
+// Resuming a few seconds in isn't worth asking about
+const MIN_RESUME_POSITION_S = 5;
+
+// Where each user stopped in each video, keyed by `<userId>:<videoId>`
+const entries = new Map();
+let writeHistory = null;
+
+const persist = () => writeHistory({ entries: Array.from(entries.values()) });
+
+const keyFor = (userId, videoId) => `${userId}:${videoId}`;
+
+export const loadWatchHistory = async (filePath) => {
+  writeHistory = createJsonWriter(filePath, 'watch history');
+
+  const data = await readJsonFile(filePath, { entries: [] });
+  entries.clear();
+  for (const entry of data.entries) {
+    entries.set(keyFor(entry.userId, entry.videoId), entry);
+  }
+  console.log(`%%% SERVER: Loaded ${entries.size} watch history entries`);
+};
+
+const isCompleted = (position, duration) => duration > 0 &&
+  (position >= duration * COMPLETION_RATIO || duration - position <= COMPLETION_MARGIN_S);
+
+// Problems with a reported playback position, or null
+export const checkPosition = (position) => {
+  if (typeof position !== 'number' || !Number.isFinite(position) || position < 0) {
+    return 'Position must be a number of seconds';
+  }
+  return null;
+};
+
+// Record a heartbeat from a player. The duration comes from the catalog so a
+// client can't report more than the video has.
+export const recordPosition = async (userId, videoId, { position, duration }) => {
+  const clamped = duration > 0 ? Math.min(position, duration) : position;
+  const entry = {
+    userId,
+    videoId,
+    position: Math.round(clamped * 10) / 10,
+    duration: duration || null,
+    completed: isCompleted(clamped, duration),
+    updatedAt: new Date().toISOString()
+  };
+
+  entries.set(keyFor(userId, videoId), entry);
+  await persist();
+  return entry;
+};
+
+export const getWatchEntry = (userId, videoId) => entries.get(keyFor(userId, videoId)) || null;
+
+// Where playback should offer to resume, or null to start from the beginning
+export const resumePositionFor = (entry) => (
+  entry && !entry.completed && entry.position >= MIN_RESUME_POSITION_S ? entry.position : null
+);
+
+// Share of the video watched, 0-100
+export const completionPercent = (entry) => {
+  if (entry.completed) {
+    return 100;
+  }
+  return entry.duration > 0 ? Math.min(100, Math.round((entry.position / entry.duration) * 100)) : 0;
+};
+
+// A user's entries that `include` accepts, most recently watched first
+export const listWatchHistory = (userId, { limit = 20, include = () => true } = {}) => Array.from(entries.values())
+  .filter((entry) => entry.userId === userId && include(entry))
+  .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+  .slice(0, limit);
+
+export const removeWatchEntry = async (userId, videoId) => {
+  const removed = entries.delete(keyFor(userId, videoId));
+  if (removed) {
+    await persist();
+  }
+  return removed;
+};
+
+// Forget a deleted video for every user
+export const removeWatchEntriesForVideo = async (videoId) => {
+  let removed = 0;
+  for (const [key, entry] of entries) {
+    if (entry.videoId === videoId) {
+      entries.delete(key);
+      removed += 1;
+    }
+  }
+  if (removed > 0) {
+    await persist();
+  }
+};
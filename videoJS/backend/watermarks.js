@@ -0,0 +1,210 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { readJsonFile, createJsonWriter } from './jsonStore.js';
+
+export const WATERMARK_POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right', 'center'];
+
+// What a text overlay can show: the uploader's username or when the video was added
+export const WATERMARK_TEXTS = ['uploader', 'timestamp'];
+
+// Watermark images we accept, by the type sniffed from their bytes, with the
+// extension they are stored under
+export const WATERMARK_IMAGE_TYPES = {
+  'image/png': '.png',
+  'image/jpeg': '.jpg',
+  'image/webp': '.webp'
+};
+
+// Image width as a fraction of the video's width
+const MIN_SCALE = 0.02;
+const MAX_SCALE = 0.5;
+
+// Distance from the edges and text height, as fractions of the video's shorter side
+const MARGIN_RATIO = 0.03;
+const FONT_SIZE_RATIO = 0.04;
+
+export const DEFAULT_WATERMARK = {
+  enabled: false,
+  imageId: null,
+  position: 'top-right',
+  scale: 0.15,
+  opacity: 0.8,
+  text: null,
+  textPosition: 'bottom-left'
+};
+
+const images = new Map();
+
+// Each user's default watermark, applied to their videos that don't have one
+// of their own
+const accountSettings = new Map();
+
+let imagesDir = null;
+let writeWatermarks = null;
+
+const persist = () => writeWatermarks({
+  images: Array.from(images.values()),
+  settings: Object.fromEntries(accountSettings)
+});
+
+export const loadWatermarks = async (filePath, { dir }) => {
+  writeWatermarks = createJsonWriter(filePath, 'watermarks');
+  imagesDir = dir;
+  await fs.mkdir(imagesDir, { recursive: true });
+
+  const data = await readJsonFile(filePath, { images: [], settings: {} });
+  images.clear();
+  for (const image of data.images) {
+    images.set(image.id, image);
+  }
+  accountSettings.clear();
+  for (const [userId, watermark] of Object.entries(data.settings)) {
+    accountSettings.set(userId, watermark);
+  }
+  console.log(`%%% SERVER: Loaded ${images.size} watermark images and ${accountSettings.size} watermark settings`);
+};
+
+// Problems with the settings object a client sent, or null: it has to set at
+// least one field, and only fields watermarks have
+export const checkWatermarkInput = (input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return 'watermark must be an object of settings';
+  }
+  const fields = Object.keys(input);
+  const unknown = fields.filter((field) => !Object.hasOwn(DEFAULT_WATERMARK, field));
+  if (unknown.length > 0) {
+    return `Unknown watermark settings: ${unknown.join(', ')}`;
+  }
+  if (fields.length === 0) {
+    return `watermark needs at least one of ${Object.keys(DEFAULT_WATERMARK).join(', ')}`;
+  }
+  return null;
+};
+
+// Settings with the fields a client left out filled in from the defaults
+export const normalizeWatermark = (input) => {
+  const watermark = { ...DEFAULT_WATERMARK };
+  for (const field of Object.keys(DEFAULT_WATERMARK)) {
+    if (input?.[field] !== undefined) {
+      watermark[field] = input[field];
+    }
+  }
+  return watermark;
+};
+
+// Problems with normalized settings, or null. Only the owner's images can be used.
+export const checkWatermark = (watermark, ownerId) => {
+  if (typeof watermark.enabled !== 'boolean') {
+    return 'enabled must be true or false';
+  }
+  if (watermark.imageId !== null && images.get(watermark.imageId)?.ownerId !== ownerId) {
+    return 'Unknown watermark image';
+  }
+  if (!WATERMARK_POSITIONS.includes(watermark.position) || !WATERMARK_POSITIONS.includes(watermark.textPosition)) {
+    return `Positions must be one of ${WATERMARK_POSITIONS.join(', ')}`;
+  }
+  if (typeof watermark.scale !== 'number' || !(watermark.scale >= MIN_SCALE && watermark.scale <= MAX_SCALE)) {
+    return `scale must be between ${MIN_SCALE} and ${MAX_SCALE} of the video's width`;
+  }
+  if (typeof watermark.opacity !== 'number' || !(watermark.opacity > 0 && watermark.opacity <= 1)) {
+    return 'opacity must be above 0 and at most 1';
+  }
+  if (watermark.text !== null && !WATERMARK_TEXTS.includes(watermark.text)) {
+    return `text must be null or one of ${WATERMARK_TEXTS.join(', ')}`;
+  }
+  if (watermark.enabled && !watermark.imageId && !watermark.text) {
+    return 'An enabled watermark needs an image or a text';
+  }
+  return null;
+};
+
+export const getAccountWatermark = (userId) => accountSettings.get(userId) || DEFAULT_WATERMARK;
+
+export const setAccountWatermark = async (userId, watermark) => {
+  accountSettings.set(userId, watermark);
+  await persist();
+  return watermark;
+};
+
+// A user's images, newest first
+export const listWatermarkImages = (ownerId) => Array.from(images.values())
+  .filter((image) => image.ownerId === ownerId)
+  .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+export const getWatermarkImage = (imageId) => images.get(imageId) || null;
+
+export const watermarkImagePath = (image) => path.join(imagesDir, image.file);
+
+export const addWatermarkImage = async ({ ownerId, name, type, data }) => {
+  const id = uuidv4();
+  const image = {
+    id,
+    ownerId,
+    name,
+    type,
+    file: `${id}${WATERMARK_IMAGE_TYPES[type]}`,
+    size: data.length,
+    createdAt: new Date().toISOString()
+  };
+
+  await fs.writeFile(watermarkImagePath(image), data);
+  images.set(id, image);
+  await persist();
+  return image;
+};
+
+export const removeWatermarkImage = async (imageId) => {
+  const image = images.get(imageId);
+  images.delete(imageId);
+  await persist();
+  await fs.rm(watermarkImagePath(image), { force: true });
+};
+
+// Where the top-left corner of an overlay goes, as ffmpeg expressions over the
+// frame size (W, H) and the overlay's size (w, h)
+const placeAt = (position, margin, [W, H, w, h]) => {
+  const x = position.endsWith('left') ? `${margin}` : position.endsWith('right') ? `${W}-${w}-${margin}` : `(${W}-${w})/2`;
+  const y = position.startsWith('top') ? `${margin}` : position.startsWith('bottom') ? `${H}-${h}-${margin}` : `(${H}-${h})/2`;
+  return { x, y };
+};
+
+const formatTimestamp = (isoDate) => `${isoDate.slice(0, 16).replace('T', ' ')} UTC`;
+
+// Turn enabled settings into what the encoder burns into a source of the given
+// size: the image scaled to a pixel width and the text resolved for this video.
+// Null when the video gets no watermark.
+export const planWatermark = (watermark, { width, height }, { uploader, createdAt }) => {
+  if (!watermark?.enabled) {
+    return null;
+  }
+
+  const shorterSide = Math.min(width, height);
+  const margin = Math.round(shorterSide * MARGIN_RATIO);
+  const image = watermark.imageId ? getWatermarkImage(watermark.imageId) : null;
+  if (watermark.imageId && !image) {
+    throw new Error('The watermark image no longer exists');
+  }
+
+  const text = watermark.text === 'uploader' ? uploader
+    : watermark.text === 'timestamp' ? formatTimestamp(createdAt)
+      : null;
+  // A text-only watermark of a video without a known uploader
+  if (!image && !text) {
+    return null;
+  }
+
+  return {
+    opacity: watermark.opacity,
+    image: image && {
+      path: watermarkImagePath(image),
+      width: Math.max(2, Math.round((width * watermark.scale) / 2) * 2),
+      ...placeAt(watermark.position, margin, ['W', 'H', 'w', 'h'])
+    },
+    text: text && {
+      value: text,
+      fontSize: Math.max(12, Math.round(shorterSide * FONT_SIZE_RATIO)),
+      ...placeAt(watermark.textPosition, margin, ['w', 'h', 'tw', 'th'])
+    }
+  };
+};
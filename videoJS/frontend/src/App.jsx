@@ -1,27 +1,257 @@
 import { useCallback, useEffect, useState, useRef } from 'react';
+import { Navigate, NavLink, Route, Routes, useMatch, useNavigate } from 'react-router';
 import { useDropzone } from 'react-dropzone';
 import * as tus from 'tus-js-client';
-import videojs from 'video.js';
-import 'video.js/dist/video-js.css';
-import { VideoPlayer } from './components/VideoPlayer';
+import { TranscodeProgress } from './components/TranscodeProgress';
+import { AuthForm } from './components/AuthForm';
+import { UploadQueue } from './components/UploadQueue';
+import { RecorderPanel } from './components/RecorderPanel';
+import { VideoLibrary } from './components/VideoLibrary';
+import { WatchPage } from './components/WatchPage';
+import { WatchHistory } from './components/WatchHistory';
+import { LiveStreams } from './components/LiveStreams';
+import { LivePage } from './components/LivePage';
+import { BrandingPage } from './components/BrandingPage';
 import './App.css';
 
+const SUBSCRIPTIONS_KEY = 'videoSubscriptions';
+const MAX_UPLOAD_SIZE = 10 * 1024 * 1024 * 1024;
+
+// Topics survive a page refresh so an in-flight upload or job is picked back up
+const loadSubscriptions = () => {
+  try {
+    const saved = JSON.parse(sessionStorage.getItem(SUBSCRIPTIONS_KEY));
+    return new Set(Array.isArray(saved) ? saved : ['videos']);
+  } catch {
+    return new Set(['videos']);
+  }
+};
+
+const saveSubscriptions = (topics) => {
+  sessionStorage.setItem(SUBSCRIPTIONS_KEY, JSON.stringify([...topics]));
+};
+
+const tabClassName = ({ isActive }) => `py-2 px-4 border-b-2 ${isActive
+  ? 'border-blue-500 text-blue-600'
+  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'}`;
+
 function App() {
-  const [videoUrl, setVideoUrl] = useState(null);
-  const [uploading, setUploading] = useState(false);
+  const [user, setUser] = useState(null);
+  const [authChecked, setAuthChecked] = useState(false);
+  const [currentVideo, setCurrentVideo] = useState(null);
+  const [currentVideoMissing, setCurrentVideoMissing] = useState(false);
+  const [liveStream, setLiveStream] = useState(null);
+  const [liveStreamMissing, setLiveStreamMissing] = useState(false);
+  const [uploads, setUploads] = useState([]);
   const [error, setError] = useState(null);
-  const [progress, setProgress] = useState(0);
   const [uploadedFiles, setUploadedFiles] = useState([]);
-  const [processing, setProcessing] = useState(false);
-  const [localVideos, setLocalVideos] = useState([]);
-  const [loadingLocalVideos, setLoadingLocalVideos] = useState(false);
   const [processingLocalVideo, setProcessingLocalVideo] = useState(false);
-  const [showLocalVideos, setShowLocalVideos] = useState(false);
-  const videoRef = useRef(null);
-  const playerRef = useRef(null);
+  // Bumped whenever a video changes state so the library reloads
+  const [libraryVersion, setLibraryVersion] = useState(0);
+  const [transcodeProgress, setTranscodeProgress] = useState({});
+  const [profiles, setProfiles] = useState([]);
+  const [selectedProfile, setSelectedProfile] = useState('');
+  const [encrypt, setEncrypt] = useState(false);
+  const [normalizeAudio, setNormalizeAudio] = useState(false);
+  const wsRef = useRef(null);
+  // Running or paused tus uploads by queue entry id
+  const tusUploadsRef = useRef(new Map());
+  const subscriptionsRef = useRef(loadSubscriptions());
+  const navigate = useNavigate();
+
+  const userId = user?.id;
+
+  // The video of the /watch/:videoId page, if that's the page shown. The ref
+  // lets WebSocket handlers check it without reconnecting when it changes.
+  const watchedVideoId = useMatch('/watch/:videoId')?.params.videoId || null;
+  const watchedVideoIdRef = useRef(watchedVideoId);
+  // Likewise for the stream of a /live/:streamId page
+  const watchedStreamId = useMatch('/live/:streamId')?.params.streamId || null;
+  const watchedStreamIdRef = useRef(watchedStreamId);
+
+  // Only MPEG-TS output can be AES-128 encrypted
+  const canEncrypt = profiles.find(profile => profile.name === selectedProfile)?.packaging !== 'cmaf';
+  const encryptSegments = encrypt && canEncrypt;
+
+  // Apply changes to the queued uploads the predicate matches
+  const updateUploads = useCallback((matches, changes) => {
+    setUploads(prev => prev.map(item => (matches(item) ? { ...item, ...changes } : item)));
+  }, []);
+
+  const sendToServer = useCallback((message) => {
+    if (wsRef.current && wsRef.current.readyState === WebSocket.OPEN) {
+      wsRef.current.send(JSON.stringify(message));
+    }
+  }, []);
+
+  // Follow events for the given topics (e.g. `video:<id>`, `upload:<id>`)
+  const subscribe = useCallback((topics) => {
+    topics.forEach(topic => subscriptionsRef.current.add(topic));
+    saveSubscriptions(subscriptionsRef.current);
+    sendToServer({ type: 'subscribe', topics });
+  }, [sendToServer]);
+
+  const unsubscribe = useCallback((topics) => {
+    topics.forEach(topic => subscriptionsRef.current.delete(topic));
+    saveSubscriptions(subscriptionsRef.current);
+    sendToServer({ type: 'unsubscribe', topics });
+  }, [sendToServer]);
+
+  // Load the watched video. Fetching it through the API (with the session
+  // cookie) is what lets the player fetch an encrypted video's key. Videos
+  // that aren't done yet are followed until the WebSocket says they are.
+  const loadVideo = useCallback(async (videoId) => {
+    try {
+      const response = await fetch(`http://localhost:8000/api/videos/${videoId}`, {
+        credentials: 'include'
+      });
+      // The page may have moved on to another video meanwhile
+      if (watchedVideoIdRef.current !== videoId) {
+        return;
+      }
+      if (response.status === 404) {
+        setCurrentVideo(null);
+        setCurrentVideoMissing(true);
+        return;
+      }
+      if (!response.ok) {
+        throw new Error(`Failed to load video: ${response.statusText}`);
+      }
+
+      const video = await response.json();
+      setCurrentVideo(video);
+      setCurrentVideoMissing(false);
+      if (video.status !== 'processed' && video.status !== 'error') {
+        subscribe([`video:${videoId}`]);
+      }
+    } catch (error) {
+      console.error('Error loading video:', error);
+      setError(error.message);
+    }
+  }, [subscribe]);
+
+  const reloadIfWatched = useCallback((videoId) => {
+    if (watchedVideoIdRef.current === videoId) {
+      loadVideo(videoId);
+    }
+  }, [loadVideo]);
+
+  const playVideo = useCallback((videoId) => {
+    navigate(`/watch/${videoId}`);
+  }, [navigate]);
+
+  // Drop every trace of a deleted video from the page
+  const forgetVideo = useCallback((videoId) => {
+    if (watchedVideoIdRef.current === videoId) {
+      setCurrentVideo(null);
+      setCurrentVideoMissing(true);
+    }
+    setLibraryVersion(version => version + 1);
+    setTranscodeProgress(prev => {
+      const { [videoId]: _deleted, ...rest } = prev;
+      return rest;
+    });
+    setUploads(prev => prev.filter(item => item.videoId !== videoId));
+    unsubscribe([`video:${videoId}`]);
+  }, [unsubscribe]);
+
+  const deleteVideo = async (videoId) => {
+    if (!window.confirm('Delete this video and all of its files? This cannot be undone.')) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`http://localhost:8000/api/videos/${videoId}`, {
+        method: 'DELETE',
+        credentials: 'include'
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || `Failed to delete video: ${response.statusText}`);
+      }
+      forgetVideo(videoId);
+      if (watchedVideoIdRef.current === videoId) {
+        navigate('/library');
+      }
+    } catch (error) {
+      console.error('Error deleting video:', error);
+      setError(error.message);
+    }
+  };
+
+  // Load the video whenever a /watch page opens or switches videos
+  useEffect(() => {
+    watchedVideoIdRef.current = watchedVideoId;
+    setCurrentVideo(null);
+    setCurrentVideoMissing(false);
+    if (userId && watchedVideoId) {
+      loadVideo(watchedVideoId);
+    }
+  }, [userId, watchedVideoId, loadVideo]);
 
-  // Initialize WebSocket connection
+  // Load the stream of a /live page and follow it while the page is open
   useEffect(() => {
+    watchedStreamIdRef.current = watchedStreamId;
+    setLiveStream(null);
+    setLiveStreamMissing(false);
+    if (!userId || !watchedStreamId) {
+      return;
+    }
+
+    const loadStream = async () => {
+      try {
+        const response = await fetch(`http://localhost:8000/api/live/${watchedStreamId}`, {
+          credentials: 'include'
+        });
+        if (watchedStreamIdRef.current !== watchedStreamId) {
+          return;
+        }
+        if (response.status === 404) {
+          setLiveStreamMissing(true);
+          return;
+        }
+        if (!response.ok) {
+          throw new Error(`Failed to load stream: ${response.statusText}`);
+        }
+        setLiveStream(await response.json());
+      } catch (error) {
+        console.error('Error loading stream:', error);
+        setError(error.message);
+      }
+    };
+
+    loadStream();
+    subscribe([`live:${watchedStreamId}`]);
+    return () => unsubscribe([`live:${watchedStreamId}`]);
+  }, [userId, watchedStreamId, subscribe, unsubscribe]);
+
+  // Restore the signed-in user from the session cookie
+  useEffect(() => {
+    const fetchCurrentUser = async () => {
+      try {
+        const response = await fetch('http://localhost:8000/api/auth/me', {
+          credentials: 'include'
+        });
+        if (response.ok) {
+          const data = await response.json();
+          setUser(data.user);
+        }
+      } catch (error) {
+        console.error('Error fetching current user:', error);
+      } finally {
+        setAuthChecked(true);
+      }
+    };
+
+    fetchCurrentUser();
+  }, []);
+
+  // Initialize WebSocket connection; the server only accepts signed-in users
+  useEffect(() => {
+    if (!userId) {
+      return;
+    }
+
     let ws = null;
     let reconnectAttempts = 0;
     const maxReconnectAttempts = 5;
@@ -29,45 +259,130 @@ function App() {
     
     const connectWebSocket = () => {
       ws = new WebSocket('ws://localhost:8000/ws');
+      wsRef.current = ws;
       
       ws.onopen = () => {
         console.log('WebSocket connection established');
         reconnectAttempts = 0; // Reset reconnect attempts on successful connection
+        
+        // (Re)subscribe; the server replays the last known state of each topic
+        ws.send(JSON.stringify({
+          type: 'subscribe',
+          topics: [...subscriptionsRef.current]
+        }));
       };
       
       ws.onmessage = (event) => {
         const data = JSON.parse(event.data);
         console.log('WebSocket message:', data);
         
+        // Drop a video's progress once its job has finished or failed
+        const clearTranscodeProgress = (videoId) => {
+          setTranscodeProgress(prev => {
+            const { [videoId]: _finished, ...rest } = prev;
+            return rest;
+          });
+        };
+        
         switch (data.type) {
+          case 'video-state':
+            // Replayed snapshot of a video we follow
+            if (data.video.status === 'processed' || data.video.status === 'error') {
+              reloadIfWatched(data.video.id);
+              unsubscribe([`video:${data.video.id}`]);
+            }
+            break;
+          case 'upload-queued':
+            // The upload became a video; follow the video from now on
+            updateUploads(item => item.uploadId === data.uploadId, { status: 'processing', videoId: data.videoId });
+            setLibraryVersion(version => version + 1);
+            subscribe([`video:${data.videoId}`]);
+            unsubscribe([`upload:${data.uploadId}`]);
+            break;
           case 'processing-started':
-            setProcessing(true);
+            setLibraryVersion(version => version + 1);
+            reloadIfWatched(data.videoId);
+            clearTranscodeProgress(data.videoId);
+            break;
+          case 'transcode-progress':
+            setTranscodeProgress(prev => {
+              const current = prev[data.videoId] || { renditions: {} };
+              const update = {
+                percent: data.percent,
+                fps: data.fps,
+                timemark: data.timemark,
+                eta: data.eta
+              };
+              // Single-pass encodes report one progress for every rendition
+              const updatedNames = data.rendition ? [data.rendition] : data.renditions;
+              return {
+                ...prev,
+                [data.videoId]: {
+                  renditionNames: data.renditions,
+                  overallPercent: data.overallPercent,
+                  renditions: {
+                    ...current.renditions,
+                    ...Object.fromEntries(updatedNames.map(name => [name, update]))
+                  }
+                }
+              };
+            });
+            break;
+          case 'transcode-complete':
+            clearTranscodeProgress(data.videoId);
+            unsubscribe([`video:${data.videoId}`]);
             break;
           case 'videoProcessed':
           case 'video-processed':
-            setProcessing(false);
-            setVideoUrl(data.hlsUrl);
+            updateUploads(item => item.videoId === data.videoId, { status: 'done' });
+            setLibraryVersion(version => version + 1);
+            reloadIfWatched(data.videoId);
             break;
           case 'videoError':
           case 'processing-error':
-            setProcessing(false);
+            updateUploads(item => item.videoId === data.videoId, { status: 'failed', error: data.error });
+            setLibraryVersion(version => version + 1);
+            reloadIfWatched(data.videoId);
+            setProcessingLocalVideo(false);
+            clearTranscodeProgress(data.videoId);
+            unsubscribe([`video:${data.videoId}`]);
             setError(`Processing error: ${data.error}`);
             break;
-          case 'upload-progress':
-            setProgress(parseFloat(data.progress));
+          case 'upload-cancelled':
+            // Possibly from another tab; the upload is gone either way
+            setUploads(prev => prev.filter(item => item.uploadId !== data.uploadId));
+            unsubscribe([`upload:${data.uploadId}`]);
+            break;
+          case 'upload-rejected':
+            // The server found the uploaded file unusable and discarded it
+            updateUploads(item => item.uploadId === data.uploadId, { status: 'failed', error: `Rejected: ${data.error}` });
+            unsubscribe([`upload:${data.uploadId}`]);
             break;
           case 'localVideoProcessed':
-            // Update local videos list with the newly processed video
-            setLocalVideos(prev => {
-              const exists = prev.some(v => v.filename === data.video.filename);
-              if (exists) {
-                return prev.map(v => v.filename === data.video.filename ? data.video : v);
-              } else {
-                return [...prev, data.video];
-              }
-            });
+            setLibraryVersion(version => version + 1);
             setProcessingLocalVideo(false);
             break;
+          case 'video-deleted':
+            forgetVideo(data.videoId);
+            break;
+          case 'video-added':
+            // E.g. the recording of a live stream
+            setLibraryVersion(version => version + 1);
+            break;
+          case 'live-state':
+            if (watchedStreamIdRef.current === data.stream.id) {
+              setLiveStream(data.stream);
+            }
+            break;
+          case 'live-deleted':
+            if (watchedStreamIdRef.current === data.streamId) {
+              setLiveStream(null);
+              setLiveStreamMissing(true);
+            }
+            break;
+          case 'error':
+            console.error('WebSocket server error:', data.error);
+            break;
         }
       };
       
@@ -91,31 +406,89 @@ function App() {
     
     return () => {
       if (ws) {
-        ws.close();
+        ws.close(1000); // Normal closure, don't reconnect
       }
     };
-  }, []);
+  }, [userId, subscribe, unsubscribe, reloadIfWatched, forgetVideo, updateUploads]);
 
-  // Fetch local videos when component mounts
+  // List the uploads an earlier visit left unfinished. The file itself can't
+  // be reopened by the page, so they resume once the user selects it again.
   useEffect(() => {
-    const fetchLocalVideos = async () => {
+    if (!userId) {
+      return;
+    }
+
+    const restoreInterruptedUploads = async () => {
+      const urlStorage = tus.defaultOptions.urlStorage;
+      const stored = await urlStorage.findAllUploads();
+
+      const interrupted = await Promise.all(stored.map(async (entry) => {
+        try {
+          // Ask the server how far the upload got
+          const response = await fetch(entry.uploadUrl, {
+            method: 'HEAD',
+            credentials: 'include',
+            headers: { 'Tus-Resumable': '1.0.0' }
+          });
+          if (response.status === 404 || response.status === 410) {
+            // Expired or cancelled meanwhile
+            await urlStorage.removeUpload(entry.urlStorageKey);
+            return null;
+          }
+          if (!response.ok) {
+            return null; // Most likely another user's upload
+          }
+
+          const bytesUploaded = Number(response.headers.get('Upload-Offset')) || 0;
+          if (bytesUploaded >= entry.size) {
+            await urlStorage.removeUpload(entry.urlStorageKey);
+            return null;
+          }
+
+          return {
+            id: entry.urlStorageKey,
+            filename: entry.metadata?.filename || 'Unnamed file',
+            size: entry.size,
+            bytesUploaded,
+            status: 'interrupted',
+            error: null,
+            uploadId: entry.uploadUrl.split('/').pop(),
+            uploadUrl: entry.uploadUrl,
+            videoId: null
+          };
+        } catch (error) {
+          console.error('Error checking interrupted upload:', error);
+          return null;
+        }
+      }));
+
+      const found = interrupted.filter(Boolean);
+      setUploads(prev => [
+        ...prev,
+        ...found.filter(entry => !prev.some(item => item.uploadUrl === entry.uploadUrl))
+      ]);
+    };
+
+    restoreInterruptedUploads();
+  }, [userId]);
+
+  // Fetch the encoding profiles uploads and local videos can use
+  useEffect(() => {
+    const fetchProfiles = async () => {
       try {
-        setLoadingLocalVideos(true);
-        const response = await fetch('http://localhost:8000/api/local-videos');
+        const response = await fetch('http://localhost:8000/api/profiles');
         if (!response.ok) {
-          throw new Error(`Failed to fetch local videos: ${response.statusText}`);
+          throw new Error(`Failed to fetch encoding profiles: ${response.statusText}`);
         }
         const data = await response.json();
-        setLocalVideos(data);
+        setProfiles(data.profiles);
+        setSelectedProfile(data.defaultProfile);
       } catch (error) {
-        console.error('Error fetching local videos:', error);
-        setError(`Failed to load local videos: ${error.message}`);
-      } finally {
-        setLoadingLocalVideos(false);
+        console.error('Error fetching encoding profiles:', error);
       }
     };
 
-    fetchLocalVideos();
+    fetchProfiles();
   }, []);
 
   // Process a local video
@@ -126,10 +499,11 @@ function App() {
       
       const response = await fetch('http://localhost:8000/api/local-videos/process', {
         method: 'POST',
+        credentials: 'include',
         headers: {
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({ filename })
+        body: JSON.stringify({ filename, profile: selectedProfile || undefined, encrypt: encryptSegments, normalize: normalizeAudio })
       });
       
       if (!response.ok) {
@@ -139,152 +513,218 @@ function App() {
       
       const videoInfo = await response.json();
       
-      // Update the local videos list
-      setLocalVideos(prev => 
-        prev.map(video => 
-          video.filename === filename ? { ...videoInfo, processed: true } : video
-        )
-      );
+      setLibraryVersion(version => version + 1);
       
-      // Set the video URL to play the processed video
-      setVideoUrl(videoInfo.hlsUrl);
+      // The watch page plays it, right away if it was processed before or
+      // once the queued job is done
+      if (videoInfo.processed) {
+        setProcessingLocalVideo(false);
+      }
+      playVideo(videoInfo.id);
       
     } catch (error) {
       console.error('Error processing local video:', error);
       setError(`Failed to process video: ${error.message}`);
-    } finally {
       setProcessingLocalVideo(false);
     }
   };
 
-  // Play a processed local video
-  const handlePlayLocalVideo = (video) => {
-    setVideoUrl(video.hlsUrl);
-  };
-
-  const handleUpload = useCallback((file) => {
-    if (!file) return;
+  // Upload a file as a new queue entry. A file this browser already started
+  // uploading (even before a reload) continues from the server's offset.
+  // `file` can also be a recording still being made, `{ name, type, reader }`,
+  // whose length is only known once its reader is done; it uploads as it is
+  // written and can't be resumed on another visit. Returns the entry's id, or
+  // nothing if the file is already being uploaded.
+  const handleUpload = useCallback(async (file) => {
+    const id = crypto.randomUUID();
+    const streaming = Boolean(file.reader);
 
-    setUploading(true);
-    setError(null);
-    setProgress(0);
-
-    // Create a new tus upload
-    const upload = new tus.Upload(file, {
+    const upload = new tus.Upload(streaming ? file.reader : file, {
       endpoint: 'http://localhost:8000/uploads',
       retryDelays: [0, 1000, 3000],
       chunkSize: 512 * 1024, // 512KB chunks
+      uploadLengthDeferred: streaming,
+      storeFingerprintForResuming: !streaming,
       metadata: {
         filename: file.name,
-        filetype: file.type
+        filetype: file.type,
+        ...(selectedProfile && { profile: selectedProfile }),
+        ...(encryptSegments && { encrypt: 'true' }),
+        ...(normalizeAudio && { normalize: 'true' })
       },
-      onBeforeRequest: function(req) {
-        console.log(`Upload ${req.getMethod()} request to ${req.getURL()}`);
+      // Keep the upload URL in localStorage until the upload completes
+      removeFingerprintOnSuccess: true,
+      onUploadUrlAvailable: function() {
+        // Follow server-side events for this upload
+        const uploadId = upload.url.split('/').pop();
+        updateUploads(item => item.id === id, { uploadId, uploadUrl: upload.url });
+        subscribe([`upload:${uploadId}`]);
       },
-      onAfterResponse: function(req, res) {
-        const status = res.getStatus();
-        if (status >= 400) {
-          console.error('Upload failed:', status);
-          setError(`Upload failed with status ${status}`);
-          setUploading(false);
-        }
+      onBeforeRequest: function(req) {
+        // Send the session cookie so the server knows who is uploading
+        req.getUnderlyingObject().withCredentials = true;
       },
       onError: function(error) {
         console.error('Upload error:', error);
-        setError(`Upload failed: ${error.message || 'Unknown error'}`);
-        setUploading(false);
+        tusUploadsRef.current.delete(id);
+        updateUploads(item => item.id === id, { status: 'failed', error: error.message || 'Unknown error' });
       },
-      onProgress: function(bytesUploaded, bytesTotal) {
-        const percentage = ((bytesUploaded / bytesTotal) * 100).toFixed(2);
-        setProgress(percentage);
-        console.log(`Upload progress: ${percentage}% (${bytesUploaded}/${bytesTotal} bytes)`);
+      onProgress: function(bytesUploaded) {
+        updateUploads(item => item.id === id, { bytesUploaded });
       },
       onSuccess: function() {
-        const uploadUrl = upload.url;
-        console.log('%%% TUS Success: Upload reported complete by tus-js-client. URL:', uploadUrl);
-        setProgress(100);
-        setUploading(false);
-        setProcessing(true);
-        setError('Video uploaded successfully! Processing...');
+        console.log('%%% TUS Success: Upload reported complete by tus-js-client. URL:', upload.url);
+        tusUploadsRef.current.delete(id);
+        updateUploads(item => item.id === id, { status: 'processing', ...(streaming ? {} : { bytesUploaded: file.size }) });
       }
     });
 
-    // Start the upload
-    upload.start();
-  }, []);
+    const previousUploads = streaming ? [] : await upload.findPreviousUploads();
+    const previous = previousUploads
+      .sort((a, b) => Date.parse(b.creationTime) - Date.parse(a.creationTime))[0];
+    const running = [...tusUploadsRef.current.values()];
+    if (previous && running.some(other => other.url === previous.uploadUrl)) {
+      setError(`${file.name} is already being uploaded.`);
+      return;
+    }
 
-  const onDrop = useCallback((acceptedFiles) => {
-    if (acceptedFiles && acceptedFiles.length > 0) {
-      const file = acceptedFiles[0];
-      
-      // Validate file size (max 10GB)
-      if (file.size > 10 * 1024 * 1024 * 1024) {
-        setError('File size too large. Maximum size is 10GB.');
-        return;
+    tusUploadsRef.current.set(id, upload);
+    setUploads(prev => [
+      // The interrupted entry for this file continues as the new one
+      ...prev.filter(item => !previous || item.id !== previous.urlStorageKey),
+      {
+        id,
+        filename: file.name,
+        size: streaming ? null : file.size,
+        streaming,
+        bytesUploaded: 0,
+        status: 'uploading',
+        error: null,
+        uploadId: null,
+        uploadUrl: null,
+        videoId: null
       }
+    ]);
 
-      // Validate file type
-      if (!file.type.startsWith('video/')) {
-        setError('Please upload a video file.');
-        return;
+    if (previous) {
+      upload.resumeFromPreviousUpload(previous);
+    }
+    upload.start();
+    return id;
+  }, [subscribe, updateUploads, selectedProfile, encryptSegments, normalizeAudio]);
+
+  const pauseUpload = (id) => {
+    tusUploadsRef.current.get(id)?.abort();
+    updateUploads(item => item.id === id, { status: 'paused' });
+  };
+
+  const resumeUpload = (id) => {
+    tusUploadsRef.current.get(id)?.start();
+    updateUploads(item => item.id === id, { status: 'uploading' });
+  };
+
+  // Stop an upload and have the server discard what it received
+  const cancelUpload = async (id) => {
+    const entry = uploads.find(item => item.id === id);
+    const upload = tusUploadsRef.current.get(id);
+    tusUploadsRef.current.delete(id);
+    setUploads(prev => prev.filter(item => item.id !== id));
+
+    try {
+      if (upload) {
+        await upload.abort(true);
+      } else if (entry?.status === 'interrupted') {
+        // Left over from an earlier visit, so there is no tus.Upload to abort
+        await tus.Upload.terminate(entry.uploadUrl, {
+          onBeforeRequest: (req) => {
+            req.getUnderlyingObject().withCredentials = true;
+          }
+        });
+        await tus.defaultOptions.urlStorage.removeUpload(entry.id);
       }
+    } catch (error) {
+      console.error('Error cancelling upload:', error);
+      setError(`Failed to cancel upload: ${error.message}`);
+    }
+
+    if (entry?.uploadId) {
+      unsubscribe([`upload:${entry.uploadId}`]);
+    }
+  };
+
+  const dismissUpload = (id) => {
+    setUploads(prev => prev.filter(item => item.id !== id));
+  };
 
-      handleUpload(file);
+  const onDrop = useCallback((acceptedFiles) => {
+    const problems = [];
+
+    for (const file of acceptedFiles) {
+      if (file.size > MAX_UPLOAD_SIZE) {
+        problems.push(`${file.name} is too large. Maximum size is 10GB.`);
+      } else if (!file.type.startsWith('video/')) {
+        problems.push(`${file.name} is not a video file.`);
+      } else {
+        handleUpload(file);
+      }
     }
+
+    setError(problems.length > 0 ? problems.join(' ') : null);
   }, [handleUpload]);
 
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
     onDrop,
-    accept: { 'video/*': [] },
-    maxFiles: 1
+    accept: { 'video/*': [] }
   });
 
-  // Initialize video.js player
-  useEffect(() => {
-    if (videoRef.current) {
-      // Initialize player regardless of whether we have a URL yet
-      if (playerRef.current) {
-        playerRef.current.dispose();
-      }
-
-      playerRef.current = videojs(videoRef.current, {
-        controls: true,
-        fluid: true,
-        html5: {
-          vhs: {
-            enableLowInitialPlaylist: true,
-            smoothQualityChange: true,
-            overrideNative: true
-          }
-        }
+  const handleLogout = async () => {
+    try {
+      await fetch('http://localhost:8000/api/auth/logout', {
+        method: 'POST',
+        credentials: 'include'
       });
+    } catch (error) {
+      console.error('Error signing out:', error);
+    }
 
-      // Only set source if we have a URL
-      if (videoUrl) {
-        const fullUrl = videoUrl.startsWith('http') 
-          ? videoUrl 
-          : `http://localhost:8000${videoUrl}`;
-          
-        console.log('Setting video source to:', fullUrl);
-        
-        playerRef.current.src({
-          src: fullUrl,
-          type: 'application/x-mpegURL'
-        });
-      }
+    // Forget everything that belonged to the signed-out user. Running uploads
+    // are only paused, so they can be resumed after signing back in.
+    tusUploadsRef.current.forEach(upload => upload.abort());
+    tusUploadsRef.current.clear();
+    subscriptionsRef.current = new Set(['videos']);
+    saveSubscriptions(subscriptionsRef.current);
+    setUser(null);
+    setCurrentVideo(null);
+    setTranscodeProgress({});
+    setUploads([]);
+    setError(null);
+  };
 
-      return () => {
-        if (playerRef.current) {
-          playerRef.current.dispose();
-        }
-      };
-    }
-  }, [videoRef, videoUrl]);
+  if (!authChecked) {
+    return null;
+  }
+
+  if (!user) {
+    return (
+      <div className="min-h-screen bg-gray-100 py-8">
+        <div className="max-w-4xl mx-auto px-4">
+          <h1 className="text-3xl font-bold text-center mb-8">Video Processing System</h1>
+          <AuthForm onAuthenticated={setUser} />
+        </div>
+      </div>
+    );
+  }
 
   return (
     <div className="min-h-screen bg-gray-100 py-8">
       <div className="max-w-4xl mx-auto px-4">
-        <h1 className="text-3xl font-bold text-center mb-8">Video Processing System</h1>
+        <h1 className="text-3xl font-bold text-center mb-2">Video Processing System</h1>
+        <div className="flex justify-end items-center gap-3 text-sm text-gray-600 mb-6">
+          <span>Signed in as <span className="font-medium">{user.username}</span></span>
+          <button onClick={handleLogout} className="text-blue-600 hover:underline">
+            Sign out
+          </button>
+        </div>
         
         {/* Error display */}
         {error && (
@@ -293,131 +733,140 @@ function App() {
           </div>
         )}
         
-        {/* Tabs for Upload and Local Videos */}
+        {/* Encoding profile used for new uploads and local processing */}
+        {profiles.length > 0 && (
+          <div className="mb-4 flex items-center gap-3">
+            <label htmlFor="encoding-profile" className="text-sm font-medium text-gray-700">
+              Encoding profile
+            </label>
+            <select
+              id="encoding-profile"
+              value={selectedProfile}
+              onChange={(e) => setSelectedProfile(e.target.value)}
+              className="border border-gray-300 rounded px-3 py-1 text-sm bg-white"
+            >
+              {profiles.map((profile) => (
+                <option key={profile.name} value={profile.name}>
+                  {profile.name} ({profile.renditions.map(r => r.name).join(', ')})
+                </option>
+              ))}
+            </select>
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={encryptSegments}
+                disabled={!canEncrypt}
+                onChange={(e) => setEncrypt(e.target.checked)}
+              />
+              Encrypt segments (AES-128)
+            </label>
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={normalizeAudio}
+                onChange={(e) => setNormalizeAudio(e.target.checked)}
+              />
+              Normalize loudness (EBU R128)
+            </label>
+          </div>
+        )}
+        
+        {/* Tabs for Upload, the Library, History and Live */}
         <div className="mb-6">
           <div className="border-b border-gray-200">
             <nav className="-mb-px flex">
-              <button 
-                className={`py-2 px-4 border-b-2 ${!showLocalVideos ? 'border-blue-500 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'}`}
-                onClick={() => setShowLocalVideos(false)}
-              >
+              <NavLink to="/" end className={tabClassName}>
                 Upload Video
-              </button>
-              <button 
-                className={`py-2 px-4 border-b-2 ${showLocalVideos ? 'border-blue-500 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'}`}
-                onClick={() => setShowLocalVideos(true)}
-              >
-                Local Videos
-              </button>
+              </NavLink>
+              <NavLink to="/library" className={tabClassName}>
+                Library
+              </NavLink>
+              <NavLink to="/history" className={tabClassName}>
+                History
+              </NavLink>
+              <NavLink to="/live" className={tabClassName}>
+                Live
+              </NavLink>
+              <NavLink to="/branding" className={tabClassName}>
+                Branding
+              </NavLink>
             </nav>
           </div>
         </div>
         
-        {!showLocalVideos ? (
-          <div className="bg-white rounded-lg shadow-md p-6 mb-8">
-            <div className="upload-container">
-              {uploading && (
-                <div className="mb-4">
-                  <div className="w-full bg-gray-200 rounded-full h-2">
+        <Routes>
+          <Route
+            path="/"
+            element={
+              <>
+                <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+                  <div className="upload-container">
+                    <RecorderPanel onUpload={handleUpload} onDiscard={cancelUpload} />
+
+                    <UploadQueue
+                      uploads={uploads}
+                      onPause={pauseUpload}
+                      onResume={resumeUpload}
+                      onCancel={cancelUpload}
+                      onDismiss={dismissUpload}
+                    />
+                    
                     <div 
-                      className="bg-blue-600 h-2 rounded-full transition-all" 
-                      style={{ width: `${progress}%` }}
-                    ></div>
-                  </div>
-                  <p className="text-center mt-2 text-sm text-gray-600">
-                    Uploading: {progress}%
-                  </p>
-                </div>
-              )}
-              
-              {processing && (
-                <div className="bg-yellow-100 border border-yellow-400 text-yellow-700 px-4 py-3 rounded mb-4">
-                  Video processing in progress. The player will load automatically when ready.
-                </div>
-              )}
-              
-              {!uploading && !processing && (
-                <div 
-                  {...getRootProps()} 
-                  className="border-2 border-dashed border-gray-300 rounded-lg p-6 text-center hover:border-blue-500 transition-colors cursor-pointer"
-                >
-                  <input {...getInputProps()} />
-                  <p className="text-gray-600">Drag & drop video files here, or click to select</p>
-                  <p className="text-sm text-gray-500 mt-2">Supports video files up to 10GB</p>
-                </div>
-              )}
-            </div>
-          </div>
-        ) : (
-          <div className="bg-white rounded-lg shadow-md p-6 mb-8">
-            <h2 className="text-xl font-semibold mb-4">Local Videos</h2>
-            
-            {loadingLocalVideos ? (
-              <div className="flex justify-center py-4">
-                <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-blue-500"></div>
-              </div>
-            ) : localVideos.length === 0 ? (
-              <p className="text-gray-500 text-center py-4">No local videos found in the server uploads directory.</p>
-            ) : (
-              <div className="space-y-4">
-                {localVideos.map((video, index) => (
-                  <div key={index} className="border rounded-lg p-4 flex justify-between items-center">
-                    <div>
-                      <p className="font-medium">{video.filename}</p>
-                      <p className="text-sm text-gray-500">
-                        {video.processed ? 'Processed' : 'Not processed'}
-                      </p>
-                    </div>
-                    <div>
-                      {video.processed ? (
-                        <button
-                          onClick={() => handlePlayLocalVideo(video)}
-                          className="bg-blue-500 text-white px-4 py-2 rounded hover:bg-blue-600 transition-colors"
-                        >
-                          Play
-                        </button>
-                      ) : (
-                        <button
-                          onClick={() => handleProcessLocalVideo(video.filename)}
-                          disabled={processingLocalVideo}
-                          className={`${
-                            processingLocalVideo
-                              ? 'bg-gray-400 cursor-not-allowed'
-                              : 'bg-green-500 hover:bg-green-600'
-                          } text-white px-4 py-2 rounded transition-colors`}
-                        >
-                          {processingLocalVideo ? 'Processing...' : 'Process'}
-                        </button>
-                      )}
+                      {...getRootProps()} 
+                      className="border-2 border-dashed border-gray-300 rounded-lg p-6 text-center hover:border-blue-500 transition-colors cursor-pointer"
+                    >
+                      <input {...getInputProps()} />
+                      <p className="text-gray-600">Drag & drop video files here, or click to select</p>
+                      <p className="text-sm text-gray-500 mt-2">Supports video files up to 10GB, several at a time</p>
                     </div>
                   </div>
-                ))}
-              </div>
-            )}
-          </div>
-        )}
+                </div>
 
-        {(videoUrl || processing) && (
-          <div className="mt-6">
-            <div data-vjs-player className="relative">
-              <video
-                ref={videoRef}
-                className="video-js vjs-big-play-centered"
-                width="640"
-                height="360"
+                {Object.keys(transcodeProgress).length > 0 && (
+                  <TranscodeProgress jobs={transcodeProgress} />
+                )}
+              </>
+            }
+          />
+          <Route
+            path="/library"
+            element={
+              <VideoLibrary
+                refreshKey={libraryVersion}
+                processingLocalVideo={processingLocalVideo}
+                onProcess={handleProcessLocalVideo}
+                onDelete={deleteVideo}
               />
-              {processing && !videoUrl && (
-                <div className="absolute inset-0 flex items-center justify-center bg-black bg-opacity-50">
-                  <div className="text-center">
-                    <div className="inline-block animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-white"></div>
-                    <p className="text-white mt-2">Processing video...</p>
-                    <p className="text-white text-sm mt-1">This may take a few minutes depending on file size</p>
-                  </div>
-                </div>
-              )}
-            </div>
-          </div>
-        )}
+            }
+          />
+          <Route path="/history" element={<WatchHistory />} />
+          <Route
+            path="/watch/:videoId"
+            element={
+              <WatchPage
+                key={watchedVideoId}
+                video={currentVideo?.videoId === watchedVideoId ? currentVideo : null}
+                notFound={currentVideoMissing}
+                jobProgress={transcodeProgress[watchedVideoId]}
+                onReload={() => loadVideo(watchedVideoId)}
+                onDelete={deleteVideo}
+              />
+            }
+          />
+          <Route path="/branding" element={<BrandingPage />} />
+          <Route path="/live" element={<LiveStreams />} />
+          <Route
+            path="/live/:streamId"
+            element={
+              <LivePage
+                key={watchedStreamId}
+                stream={liveStream?.id === watchedStreamId ? liveStream : null}
+                notFound={liveStreamMissing}
+              />
+            }
+          />
+          <Route path="*" element={<Navigate to="/" replace />} />
+        </Routes>
       </div>
     </div>
   )
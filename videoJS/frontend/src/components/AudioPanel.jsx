@@ -0,0 +1,53 @@
+import { formatBytes } from '../formatBytes';
+
+const FORMAT_LABELS = {
+  m4a: 'M4A',
+  mp3: 'MP3'
+};
+
+// Listen to a processed video as audio only, download its audio for podcast
+// apps and see whether its loudness was normalized
+export const AudioPanel = ({ video, audioOnly, onAudioOnlyChange }) => {
+  const measured = video.loudness?.tracks.find(track => track.measured)?.measured;
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mt-4">
+      <h2 className="text-xl font-semibold mb-4">Audio</h2>
+
+      {video.audioUrl ? (
+        <label className="flex items-center gap-2 text-sm text-gray-700 mb-4">
+          <input
+            type="checkbox"
+            checked={audioOnly}
+            onChange={(e) => onAudioOnlyChange(e.target.checked)}
+          />
+          Listen to the audio only
+        </label>
+      ) : (
+        <p className="text-sm text-gray-500 mb-4">This video has no audio, or was processed before audio-only playback was available.</p>
+      )}
+
+      {video.audioExports.length > 0 && (
+        <div className="flex flex-wrap gap-3 mb-4">
+          {video.audioExports.map(({ format, size }) => (
+            <a
+              key={format}
+              href={`http://localhost:8000/api/videos/${video.videoId}/audio/${format}`}
+              className="bg-blue-500 hover:bg-blue-600 text-white text-sm px-4 py-2 rounded transition-colors"
+            >
+              Download {FORMAT_LABELS[format] || format} ({formatBytes(size)})
+            </a>
+          ))}
+        </div>
+      )}
+
+      <p className="text-sm text-gray-600">
+        {measured
+          ? `Loudness normalized to ${video.loudness.target.integrated} LUFS (the source measured ${measured.integrated} LUFS).`
+          : video.normalizeAudio
+            ? 'Loudness normalization was requested, but the audio is silent.'
+            : 'Loudness is as uploaded.'}
+      </p>
+    </div>
+  );
+};
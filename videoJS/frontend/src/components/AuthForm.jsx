@@ -0,0 +1,106 @@
+import { useState } from 'react';
+
+// Sign in to an existing account or register a new one
+export const AuthForm = ({ onAuthenticated }) => {
+  const [mode, setMode] = useState('login');
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const isRegister = mode === 'register';
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      const response = await fetch(`http://localhost:8000/api/auth/${mode}`, {
+        method: 'POST',
+        credentials: 'include',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ username, password })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || `Failed to ${isRegister ? 'register' : 'sign in'}`);
+      }
+
+      onAuthenticated(data.user);
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 max-w-sm mx-auto">
+      <h2 className="text-xl font-semibold mb-4">{isRegister ? 'Create an account' : 'Sign in'}</h2>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          {error}
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div>
+          <label htmlFor="auth-username" className="block text-sm font-medium text-gray-700 mb-1">
+            Username
+          </label>
+          <input
+            id="auth-username"
+            type="text"
+            autoComplete="username"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            className="w-full border border-gray-300 rounded px-3 py-2"
+            required
+          />
+        </div>
+        <div>
+          <label htmlFor="auth-password" className="block text-sm font-medium text-gray-700 mb-1">
+            Password
+          </label>
+          <input
+            id="auth-password"
+            type="password"
+            autoComplete={isRegister ? 'new-password' : 'current-password'}
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            className="w-full border border-gray-300 rounded px-3 py-2"
+            required
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={submitting}
+          className={`${
+            submitting ? 'bg-gray-400 cursor-not-allowed' : 'bg-blue-500 hover:bg-blue-600'
+          } w-full text-white px-4 py-2 rounded transition-colors`}
+        >
+          {isRegister ? 'Register' : 'Sign in'}
+        </button>
+      </form>
+
+      <p className="text-sm text-gray-600 mt-4 text-center">
+        {isRegister ? 'Already have an account?' : 'No account yet?'}{' '}
+        <button
+          type="button"
+          onClick={() => {
+            setMode(isRegister ? 'login' : 'register');
+            setError(null);
+          }}
+          className="text-blue-600 hover:underline"
+        >
+          {isRegister ? 'Sign in' : 'Register'}
+        </button>
+      </p>
+    </div>
+  );
+};
@@ -0,0 +1,186 @@
+import { useEffect, useState } from 'react';
+import { WatermarkForm } from './WatermarkForm';
+import { toServerUrl } from '../serverUrl';
+
+// The user's watermark images and the default watermark burned into each of
+// their videos processed from now on (a video can have its own instead)
+export const BrandingPage = () => {
+  const [watermark, setWatermark] = useState(null);
+  const [images, setImages] = useState(null);
+  const [file, setFile] = useState(null);
+  const [uploading, setUploading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [saved, setSaved] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchBranding = async () => {
+      try {
+        const [watermarkResponse, imagesResponse] = await Promise.all([
+          fetch('http://localhost:8000/api/watermark', { credentials: 'include' }),
+          fetch('http://localhost:8000/api/watermark/images', { credentials: 'include' })
+        ]);
+        if (!watermarkResponse.ok || !imagesResponse.ok) {
+          throw new Error('Failed to load the watermark settings');
+        }
+        setWatermark((await watermarkResponse.json()).watermark);
+        setImages((await imagesResponse.json()).images);
+      } catch (error) {
+        console.error('Error loading the watermark settings:', error);
+        setError(error.message);
+      }
+    };
+
+    fetchBranding();
+  }, []);
+
+  const handleUpload = async (event) => {
+    event.preventDefault();
+    setUploading(true);
+    setError(null);
+
+    const form = new FormData();
+    form.append('file', file);
+
+    try {
+      const response = await fetch('http://localhost:8000/api/watermark/images', {
+        method: 'POST',
+        credentials: 'include',
+        body: form
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to upload the image');
+      }
+      setImages(prev => [data, ...prev]);
+      setFile(null);
+      event.target.reset();
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleDelete = async (imageId) => {
+    setError(null);
+
+    try {
+      const response = await fetch(`http://localhost:8000/api/watermark/images/${imageId}`, {
+        method: 'DELETE',
+        credentials: 'include'
+      });
+      if (!response.ok && response.status !== 404) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Failed to delete the image');
+      }
+      setImages(prev => prev.filter(image => image.id !== imageId));
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  const handleSave = async (settings) => {
+    setSaving(true);
+    setSaved(false);
+    setError(null);
+
+    try {
+      const response = await fetch('http://localhost:8000/api/watermark', {
+        method: 'PUT',
+        credentials: 'include',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ watermark: settings })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to save the watermark');
+      }
+      setWatermark(data.watermark);
+      setSaved(true);
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!watermark || !images) {
+    return error ? (
+      <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">{error}</div>
+    ) : (
+      <div className="flex justify-center py-8">
+        <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-blue-500"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+      <h2 className="text-xl font-semibold mb-4">Branding</h2>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          {error}
+        </div>
+      )}
+
+      <h3 className="font-medium mb-2">Watermark images</h3>
+      {images.length > 0 ? (
+        <ul className="flex flex-wrap gap-4 mb-4">
+          {images.map((image) => (
+            <li key={image.id} className="border rounded p-2 w-40 text-center">
+              <div className="h-20 flex items-center justify-center bg-gray-700 rounded mb-2">
+                <img src={toServerUrl(image.url)} alt={image.name} className="max-h-20 max-w-full" />
+              </div>
+              <p className="text-xs truncate" title={image.name}>{image.name}</p>
+              <button
+                onClick={() => handleDelete(image.id)}
+                className="text-xs text-red-600 hover:underline"
+              >
+                Delete
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm text-gray-500 mb-4">No images yet. A PNG with a transparent background works best.</p>
+      )}
+
+      <form onSubmit={handleUpload} className="flex items-center gap-3 mb-8">
+        <input
+          type="file"
+          accept="image/png,image/jpeg,image/webp"
+          onChange={(e) => setFile(e.target.files[0] || null)}
+          className="text-sm"
+          required
+        />
+        <button
+          type="submit"
+          disabled={uploading || !file}
+          className={`${
+            uploading || !file ? 'bg-gray-400 cursor-not-allowed' : 'bg-blue-500 hover:bg-blue-600'
+          } text-white px-4 py-2 rounded transition-colors`}
+        >
+          {uploading ? 'Uploading...' : 'Add image'}
+        </button>
+      </form>
+
+      <h3 className="font-medium mb-1">Default watermark</h3>
+      <p className="text-sm text-gray-600 mb-3">
+        Applied to every video you upload, record or clip from now on, unless the video has a watermark of its own.
+        Videos that are already published keep theirs.
+      </p>
+      <WatermarkForm
+        value={watermark}
+        images={images}
+        saving={saving}
+        submitLabel="Save default"
+        onSave={handleSave}
+      />
+      {saved && <p className="text-sm text-green-700 mt-2">Saved.</p>}
+    </div>
+  );
+};
@@ -0,0 +1,180 @@
+import { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router';
+import { formatDuration } from '../formatDuration';
+
+// Shortest clip the server accepts, in seconds
+const MIN_CLIP_DURATION = 1;
+
+// Round to tenths, which is as precise as anyone picks points by hand
+const roundTime = (seconds) => Math.round(seconds * 10) / 10;
+
+// Pick in and out points of a processed video, from the player's position or
+// typed in, and cut them out into a new video. `range` is `{ start, end }` or
+// null before the first point is set; `player` is the video.js player.
+export const ClipEditor = ({ video, player, range, onRangeChange }) => {
+  const navigate = useNavigate();
+  const [name, setName] = useState('');
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [previewing, setPreviewing] = useState(false);
+
+  const duration = Number(video.duration) || 0;
+  const start = range?.start ?? 0;
+  const end = range?.end ?? duration;
+  const rangeError = end - start < MIN_CLIP_DURATION
+    ? `A clip has to be at least ${MIN_CLIP_DURATION} second long`
+    : null;
+
+  const setPoints = (points) => {
+    const next = { start, end, ...points };
+    onRangeChange({
+      start: roundTime(Math.min(Math.max(0, next.start), duration)),
+      end: roundTime(Math.min(Math.max(0, next.end), duration))
+    });
+  };
+
+  const setFromPlayer = (point) => {
+    if (player) {
+      setPoints({ [point]: player.currentTime() });
+    }
+  };
+
+  // Play the range once, stopping at the out-point
+  const handlePreview = () => {
+    player.currentTime(start);
+    player.play()?.catch(() => {});
+    setPreviewing(true);
+  };
+
+  useEffect(() => {
+    if (!player || !previewing) {
+      return;
+    }
+
+    const stopAtEnd = () => {
+      if (player.currentTime() >= end) {
+        player.pause();
+        setPreviewing(false);
+      }
+    };
+    const stopPreview = () => setPreviewing(false);
+    // Seeking elsewhere cancels the preview, but not the seek to the in-point
+    // that started it
+    const watchSeeks = () => player.on('seeking', stopPreview);
+
+    player.on('timeupdate', stopAtEnd);
+    if (player.seeking()) {
+      player.one('seeked', watchSeeks);
+    } else {
+      watchSeeks();
+    }
+    return () => {
+      if (!player.isDisposed()) {
+        player.off('timeupdate', stopAtEnd);
+        player.off('seeked', watchSeeks);
+        player.off('seeking', stopPreview);
+      }
+    };
+  }, [player, previewing, end]);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSaving(true);
+    setError(null);
+
+    try {
+      const response = await fetch(`http://localhost:8000/api/videos/${video.videoId}/clips`, {
+        method: 'POST',
+        credentials: 'include',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ start, end, ...(name.trim() ? { name: name.trim() } : {}) })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to create the clip');
+      }
+
+      navigate(`/watch/${data.videoId}`);
+    } catch (error) {
+      setError(error.message);
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mt-4">
+      <h2 className="text-xl font-semibold mb-4">Create a clip</h2>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          {error}
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="flex flex-wrap items-end gap-3">
+        {[['start', 'In', start], ['end', 'Out', end]].map(([point, label, value]) => (
+          <div key={point}>
+            <label htmlFor={`clip-${point}`} className="block text-sm font-medium text-gray-700 mb-1">
+              {label} ({formatDuration(value)})
+            </label>
+            <div className="flex gap-2">
+              <input
+                id={`clip-${point}`}
+                type="number"
+                min="0"
+                max={duration}
+                step="0.1"
+                value={value}
+                onChange={(e) => setPoints({ [point]: Number(e.target.value) })}
+                className="w-24 border border-gray-300 rounded px-3 py-2"
+              />
+              <button
+                type="button"
+                onClick={() => setFromPlayer(point)}
+                disabled={!player}
+                className="text-sm text-blue-600 hover:underline disabled:text-gray-400"
+              >
+                Set to current time
+              </button>
+            </div>
+          </div>
+        ))}
+        <div>
+          <label htmlFor="clip-name" className="block text-sm font-medium text-gray-700 mb-1">
+            Name
+          </label>
+          <input
+            id="clip-name"
+            type="text"
+            placeholder="Optional"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            className="w-48 border border-gray-300 rounded px-3 py-2"
+          />
+        </div>
+        <button
+          type="button"
+          onClick={handlePreview}
+          disabled={!player || Boolean(rangeError)}
+          className="px-4 py-2 rounded border border-gray-300 hover:bg-gray-100 disabled:text-gray-400 disabled:hover:bg-transparent"
+        >
+          Preview
+        </button>
+        <button
+          type="submit"
+          disabled={saving || Boolean(rangeError)}
+          className={`${
+            saving || rangeError ? 'bg-gray-400 cursor-not-allowed' : 'bg-blue-500 hover:bg-blue-600'
+          } text-white px-4 py-2 rounded transition-colors`}
+        >
+          {saving ? 'Creating...' : `Create ${formatDuration(Math.max(0, end - start))} clip`}
+        </button>
+      </form>
+
+      {rangeError && <p className="text-sm text-gray-500 mt-2">{rangeError}</p>}
+    </div>
+  );
+};
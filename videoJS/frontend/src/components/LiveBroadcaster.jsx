@@ -0,0 +1,128 @@
+import { useEffect, useRef, useState } from 'react';
+
+// How often MediaRecorder hands over a chunk to send
+const CHUNK_INTERVAL_MS = 1000;
+
+// Containers ffmpeg reads from a pipe, in order of preference
+const MIME_TYPES = ['video/webm;codecs=vp8,opus', 'video/webm', 'video/mp4'];
+
+// Broadcast the camera and microphone to a live stream: MediaRecorder chunks go
+// over a WebSocket to the stream's ingest path as they are recorded
+export const LiveBroadcaster = ({ stream }) => {
+  const [mediaStream, setMediaStream] = useState(null);
+  const [broadcasting, setBroadcasting] = useState(false);
+  const [error, setError] = useState(null);
+  const previewRef = useRef(null);
+  const recorderRef = useRef(null);
+  const socketRef = useRef(null);
+
+  useEffect(() => {
+    if (previewRef.current) {
+      previewRef.current.srcObject = mediaStream;
+    }
+  }, [mediaStream]);
+
+  // Leaving the page ends the broadcast and releases the camera
+  useEffect(() => () => {
+    if (recorderRef.current?.state === 'recording') {
+      recorderRef.current.stop();
+    }
+    socketRef.current?.close(1000);
+    mediaStream?.getTracks().forEach(track => track.stop());
+  }, [mediaStream]);
+
+  const startCamera = async () => {
+    setError(null);
+    try {
+      setMediaStream(await navigator.mediaDevices.getUserMedia({
+        video: { width: { ideal: 1280 }, height: { ideal: 720 } },
+        audio: true
+      }));
+    } catch (error) {
+      setError(`Camera unavailable: ${error.message}`);
+    }
+  };
+
+  const goLive = () => {
+    setError(null);
+    const socket = new WebSocket(`ws://localhost:8000${stream.ingestPath}`);
+    socketRef.current = socket;
+
+    socket.onopen = () => {
+      const mimeType = MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+      const recorder = new MediaRecorder(mediaStream, mimeType ? { mimeType } : {});
+      recorderRef.current = recorder;
+
+      recorder.ondataavailable = (event) => {
+        if (event.data.size > 0 && socket.readyState === WebSocket.OPEN) {
+          socket.send(event.data);
+        }
+      };
+      // Close once the last chunk is out
+      recorder.onstop = () => socket.close(1000);
+      recorder.start(CHUNK_INTERVAL_MS);
+      setBroadcasting(true);
+    };
+
+    socket.onclose = (event) => {
+      if (recorderRef.current?.state === 'recording') {
+        recorderRef.current.stop();
+      }
+      recorderRef.current = null;
+      setBroadcasting(false);
+      if (event.code !== 1000) {
+        setError(event.reason || 'The connection to the server was lost');
+      }
+    };
+  };
+
+  const stopBroadcast = () => {
+    recorderRef.current?.stop();
+  };
+
+  // Someone else (or another tab) is broadcasting this stream
+  if (stream.status !== 'idle' && !broadcasting) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mt-4">
+      <h2 className="text-xl font-semibold mb-4">Broadcast from this browser</h2>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          {error}
+        </div>
+      )}
+
+      {mediaStream && (
+        <video ref={previewRef} autoPlay muted playsInline className="w-full max-w-md rounded bg-black mb-4"></video>
+      )}
+
+      <div className="flex gap-3">
+        {!mediaStream ? (
+          <button
+            onClick={startCamera}
+            className="bg-blue-500 text-white px-4 py-2 rounded hover:bg-blue-600 transition-colors"
+          >
+            Start camera
+          </button>
+        ) : broadcasting ? (
+          <button
+            onClick={stopBroadcast}
+            className="bg-red-600 text-white px-4 py-2 rounded hover:bg-red-700 transition-colors"
+          >
+            End broadcast
+          </button>
+        ) : (
+          <button
+            onClick={goLive}
+            className="bg-red-500 text-white px-4 py-2 rounded hover:bg-red-600 transition-colors"
+          >
+            Go live
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,130 @@
+import { useState } from 'react';
+import { Link, useNavigate } from 'react-router';
+import { VideoPlayer } from './VideoPlayer';
+import { LiveBroadcaster } from './LiveBroadcaster';
+import { toServerUrl } from '../serverUrl';
+import { LIVE_STATUS_BADGES, LIVE_STATUS_LABELS } from '../liveStatus';
+
+// The page of one live stream: the player while it is live, ways to broadcast
+// to it before that, and a link to the recording once it has ended. `stream`
+// is null while it loads and follows the WebSocket after that.
+export const LivePage = ({ stream, notFound }) => {
+  const navigate = useNavigate();
+  const [error, setError] = useState(null);
+
+  if (notFound) {
+    return (
+      <div className="bg-white rounded-lg shadow-md p-6 text-center">
+        <p className="text-gray-700 mb-2">This stream doesn't exist or has been deleted.</p>
+        <Link to="/live" className="text-blue-600 hover:underline">Back to the live streams</Link>
+      </div>
+    );
+  }
+
+  if (!stream) {
+    return (
+      <div className="flex justify-center py-8">
+        <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-blue-500"></div>
+      </div>
+    );
+  }
+
+  const ingestUrl = `http://localhost:8000${stream.ingestPath}`;
+
+  const handleStop = async () => {
+    setError(null);
+    try {
+      const response = await fetch(`http://localhost:8000/api/live/${stream.streamId}/stop`, {
+        method: 'POST',
+        credentials: 'include'
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Failed to end the stream');
+      }
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm('Delete this stream? A saved recording stays in the library.')) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`http://localhost:8000/api/live/${stream.streamId}`, {
+        method: 'DELETE',
+        credentials: 'include'
+      });
+      if (!response.ok && response.status !== 404) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Failed to delete the stream');
+      }
+      navigate('/live');
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-2 gap-3">
+        <h2 className="text-xl font-semibold truncate" title={stream.title}>
+          {stream.title}
+          <span className={`${LIVE_STATUS_BADGES[stream.status]} text-sm font-normal px-2 py-0.5 rounded ml-3`}>
+            {LIVE_STATUS_LABELS[stream.status]}
+          </span>
+        </h2>
+        <div className="flex gap-3 shrink-0">
+          {(stream.status === 'starting' || stream.status === 'live') && (
+            <button onClick={handleStop} className="text-sm text-red-600 hover:underline">
+              End stream
+            </button>
+          )}
+          <button onClick={handleDelete} className="text-sm text-red-600 hover:underline">
+            Delete stream
+          </button>
+        </div>
+      </div>
+
+      {(error || stream.error) && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          {error || stream.error}
+        </div>
+      )}
+
+      {stream.status === 'live' && stream.hlsUrl ? (
+        <VideoPlayer key={stream.hlsUrl} url={toServerUrl(stream.hlsUrl)} />
+      ) : stream.status === 'starting' ? (
+        <div className="bg-yellow-100 border border-yellow-400 text-yellow-700 px-4 py-3 rounded">
+          Receiving the broadcast. Playback starts once the first segments are ready.
+        </div>
+      ) : stream.status === 'ended' ? (
+        <div className="bg-white rounded-lg shadow-md p-6 text-center">
+          <p className="text-gray-700">
+            This broadcast has ended.{' '}
+            {stream.videoId ? (
+              <Link to={`/watch/${stream.videoId}`} className="text-blue-600 hover:underline">
+                Watch the recording
+              </Link>
+            ) : stream.record && !stream.error ? 'The recording is being saved to the library.' : null}
+          </p>
+        </div>
+      ) : (
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <h2 className="text-xl font-semibold mb-2">Broadcast from an encoder</h2>
+          <p className="text-sm text-gray-600 mb-2">
+            Send MPEG-TS (or anything ffmpeg reads) to this URL with an HTTP PUT. The key in it lets
+            anyone broadcast to this stream, so keep it to yourself.
+          </p>
+          <pre className="bg-gray-100 rounded p-3 text-xs overflow-x-auto">
+            {`ffmpeg -re -i input.mp4 -c:v libx264 -c:a aac -f mpegts -method PUT "${ingestUrl}"`}
+          </pre>
+        </div>
+      )}
+
+      {stream.status !== 'ended' && <LiveBroadcaster stream={stream} />}
+    </div>
+  );
+};
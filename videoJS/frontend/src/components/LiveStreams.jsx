@@ -0,0 +1,163 @@
+import { useEffect, useState } from 'react';
+import { Link, useNavigate } from 'react-router';
+import { LIVE_STATUS_BADGES, LIVE_STATUS_LABELS } from '../liveStatus';
+
+// The user's live streams, and a form to set up a new one
+export const LiveStreams = () => {
+  const navigate = useNavigate();
+  const [streams, setStreams] = useState(null);
+  const [title, setTitle] = useState('');
+  const [record, setRecord] = useState(true);
+  const [creating, setCreating] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchStreams = async () => {
+      try {
+        const response = await fetch('http://localhost:8000/api/live', {
+          credentials: 'include'
+        });
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || `Failed to load the live streams: ${response.statusText}`);
+        }
+        setStreams(data.streams);
+      } catch (error) {
+        console.error('Error loading the live streams:', error);
+        setError(error.message);
+      }
+    };
+
+    fetchStreams();
+  }, []);
+
+  const handleCreate = async (event) => {
+    event.preventDefault();
+    setCreating(true);
+    setError(null);
+
+    try {
+      const response = await fetch('http://localhost:8000/api/live', {
+        method: 'POST',
+        credentials: 'include',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ title: title.trim(), record })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to create the stream');
+      }
+      navigate(`/live/${data.streamId}`);
+    } catch (error) {
+      setError(error.message);
+      setCreating(false);
+    }
+  };
+
+  const handleDelete = async (streamId) => {
+    if (!window.confirm('Delete this stream? A saved recording stays in the library.')) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`http://localhost:8000/api/live/${streamId}`, {
+        method: 'DELETE',
+        credentials: 'include'
+      });
+      if (!response.ok && response.status !== 404) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Failed to delete the stream');
+      }
+      setStreams(prev => prev.filter(stream => stream.streamId !== streamId));
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+      <h2 className="text-xl font-semibold mb-4">Live streams</h2>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          {error}
+        </div>
+      )}
+
+      <form onSubmit={handleCreate} className="flex flex-wrap items-end gap-3 mb-6">
+        <div className="flex-1 min-w-48">
+          <label htmlFor="live-title" className="block text-sm font-medium text-gray-700 mb-1">
+            Title
+          </label>
+          <input
+            id="live-title"
+            type="text"
+            placeholder="Weekly Q&A"
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            className="w-full border border-gray-300 rounded px-3 py-2"
+          />
+        </div>
+        <label className="flex items-center gap-2 text-sm text-gray-700 py-2">
+          <input
+            type="checkbox"
+            checked={record}
+            onChange={(e) => setRecord(e.target.checked)}
+          />
+          Save a recording to the library
+        </label>
+        <button
+          type="submit"
+          disabled={creating}
+          className={`${
+            creating ? 'bg-gray-400 cursor-not-allowed' : 'bg-blue-500 hover:bg-blue-600'
+          } text-white px-4 py-2 rounded transition-colors`}
+        >
+          {creating ? 'Creating...' : 'New stream'}
+        </button>
+      </form>
+
+      {!streams ? (
+        !error && (
+          <div className="flex justify-center py-4">
+            <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-blue-500"></div>
+          </div>
+        )
+      ) : streams.length === 0 ? (
+        <p className="text-gray-500 text-center py-4">No live streams yet.</p>
+      ) : (
+        <ul className="divide-y">
+          {streams.map((stream) => (
+            <li key={stream.streamId} className="py-3 flex items-center gap-4">
+              <div className="flex-1 min-w-0">
+                <Link to={`/live/${stream.streamId}`} className="font-medium truncate block hover:underline" title={stream.title}>
+                  {stream.title}
+                </Link>
+                <p className="text-xs text-gray-600 mt-1">
+                  <span className={`${LIVE_STATUS_BADGES[stream.status]} px-2 py-0.5 rounded mr-2`}>
+                    {LIVE_STATUS_LABELS[stream.status]}
+                  </span>
+                  {new Date(stream.startedAt || stream.createdAt).toLocaleString()}
+                  {stream.record ? ' · Recorded' : ''}
+                </p>
+              </div>
+              {stream.videoId && (
+                <Link to={`/watch/${stream.videoId}`} className="text-sm text-blue-600 hover:underline shrink-0">
+                  Recording
+                </Link>
+              )}
+              <button
+                onClick={() => handleDelete(stream.streamId)}
+                className="text-sm text-red-600 hover:underline shrink-0"
+              >
+                Delete
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
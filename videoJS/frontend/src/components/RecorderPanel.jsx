@@ -0,0 +1,269 @@
+import { useEffect, useRef, useState } from 'react';
+import { formatDuration } from '../formatDuration';
+
+// How often MediaRecorder hands over a chunk for the upload
+const CHUNK_INTERVAL_MS = 1000;
+
+// Recording formats in order of preference, with the extension the server expects
+const FORMATS = [
+  { mimeType: 'video/webm;codecs=vp9,opus', extension: 'webm' },
+  { mimeType: 'video/webm;codecs=vp8,opus', extension: 'webm' },
+  { mimeType: 'video/webm', extension: 'webm' },
+  { mimeType: 'video/mp4', extension: 'mp4' }
+];
+
+const SOURCES = {
+  camera: 'Camera',
+  screen: 'Screen'
+};
+
+// The screen (with its audio where the browser shares it, otherwise the
+// microphone's) or the camera and microphone
+const captureMedia = async (source) => {
+  if (source === 'camera') {
+    return navigator.mediaDevices.getUserMedia({
+      video: { width: { ideal: 1280 }, height: { ideal: 720 } },
+      audio: true
+    });
+  }
+
+  const display = await navigator.mediaDevices.getDisplayMedia({ video: true, audio: true });
+  if (display.getAudioTracks().length === 0) {
+    const microphone = await navigator.mediaDevices.getUserMedia({ audio: true }).catch(() => null);
+    microphone?.getAudioTracks().forEach(track => display.addTrack(track));
+  }
+  return display;
+};
+
+// End the upload of a recording once its last chunk is handed over
+const finishUpload = (session) => {
+  session.pending.then(() => session.controller.close());
+};
+
+const recordingName = (extension) => {
+  const stamp = new Date().toISOString().slice(0, 16).replace('T', ' ').replace(':', '-');
+  return `Recording ${stamp}.${extension}`;
+};
+
+// Record the camera or the screen straight into the upload queue. Chunks are
+// uploaded while recording, so a long session is mostly uploaded by the time
+// it ends, but the upload is only finished (and processed) once the recording
+// is kept; a retake discards it. Leaving the page keeps what was recorded.
+export const RecorderPanel = ({ onUpload, onDiscard }) => {
+  const [source, setSource] = useState('camera');
+  const [mediaStream, setMediaStream] = useState(null);
+  const [status, setStatus] = useState('idle');
+  const [elapsed, setElapsed] = useState(0);
+  const [recordingUrl, setRecordingUrl] = useState(null);
+  const [error, setError] = useState(null);
+  const previewRef = useRef(null);
+  // The recorder, the stream feeding the upload and its queue entry, kept
+  // outside state so unmounting can still settle them
+  const sessionRef = useRef(null);
+
+  useEffect(() => {
+    if (previewRef.current && mediaStream) {
+      previewRef.current.srcObject = mediaStream;
+    }
+  }, [mediaStream, status]);
+
+  useEffect(() => {
+    if (status !== 'recording') {
+      return;
+    }
+    const startedAt = Date.now();
+    const timer = setInterval(() => setElapsed((Date.now() - startedAt) / 1000), 500);
+    return () => clearInterval(timer);
+  }, [status]);
+
+  useEffect(() => () => {
+    if (recordingUrl) {
+      URL.revokeObjectURL(recordingUrl);
+    }
+  }, [recordingUrl]);
+
+  const releaseMedia = () => {
+    mediaStream?.getTracks().forEach(track => track.stop());
+    setMediaStream(null);
+  };
+
+  useEffect(() => () => {
+    const session = sessionRef.current;
+    if (!session) {
+      return;
+    }
+    if (session.recorder.state === 'recording') {
+      session.recorder.onstop = () => finishUpload(session);
+      session.recorder.stop();
+    } else {
+      finishUpload(session);
+    }
+    session.mediaStream.getTracks().forEach(track => track.stop());
+  }, []);
+
+  const startPreview = async () => {
+    setError(null);
+    try {
+      const stream = await captureMedia(source);
+      setMediaStream(stream);
+      setStatus('previewing');
+    } catch (error) {
+      setError(`Couldn't access the ${SOURCES[source].toLowerCase()}: ${error.message}`);
+    }
+  };
+
+  const startRecording = async () => {
+    setError(null);
+    const format = FORMATS.find(({ mimeType }) => MediaRecorder.isTypeSupported(mimeType));
+    if (!format) {
+      setError('This browser cannot record video.');
+      return;
+    }
+
+    let controller;
+    const body = new ReadableStream({ start: (c) => { controller = c; } });
+    const recorder = new MediaRecorder(mediaStream, { mimeType: format.mimeType });
+    const chunks = [];
+    const session = { recorder, controller, mediaStream, pending: Promise.resolve(), uploadId: null };
+
+    // Hand the chunks to the upload in order, and keep them for the preview
+    recorder.ondataavailable = (event) => {
+      if (event.data.size === 0) {
+        return;
+      }
+      chunks.push(event.data);
+      session.pending = session.pending.then(async () => {
+        controller.enqueue(new Uint8Array(await event.data.arrayBuffer()));
+      });
+    };
+    recorder.onstop = () => {
+      setRecordingUrl(URL.createObjectURL(new Blob(chunks, { type: format.mimeType })));
+      setStatus('recorded');
+      releaseMedia();
+    };
+    // The user stopped sharing through the browser's own controls
+    mediaStream.getVideoTracks()[0]?.addEventListener('ended', () => {
+      if (recorder.state === 'recording') {
+        recorder.stop();
+      }
+    });
+
+    sessionRef.current = session;
+    recorder.start(CHUNK_INTERVAL_MS);
+    setElapsed(0);
+    setStatus('recording');
+
+    session.uploadId = await onUpload({
+      name: recordingName(format.extension),
+      type: format.mimeType.split(';')[0],
+      reader: body.getReader()
+    });
+  };
+
+  const stopRecording = () => {
+    sessionRef.current?.recorder.stop();
+  };
+
+  const handleKeep = () => {
+    finishUpload(sessionRef.current);
+    sessionRef.current = null;
+    setRecordingUrl(null);
+    setStatus('idle');
+  };
+
+  const handleRetake = () => {
+    const session = sessionRef.current;
+    sessionRef.current = null;
+    if (session?.uploadId) {
+      onDiscard(session.uploadId);
+    }
+    setRecordingUrl(null);
+    setStatus('idle');
+  };
+
+  const handleClose = () => {
+    releaseMedia();
+    setStatus('idle');
+  };
+
+  return (
+    <div className="border rounded-lg p-4 mb-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <h3 className="font-medium">Record a video</h3>
+        {status === 'idle' && (
+          <div className="flex items-center gap-3">
+            <select
+              value={source}
+              onChange={(e) => setSource(e.target.value)}
+              className="border border-gray-300 rounded px-3 py-2 text-sm"
+            >
+              {Object.entries(SOURCES).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <button
+              onClick={startPreview}
+              className="bg-blue-500 text-white px-4 py-2 rounded hover:bg-blue-600 transition-colors"
+            >
+              Set up recording
+            </button>
+          </div>
+        )}
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mt-4">
+          {error}
+        </div>
+      )}
+
+      {(status === 'previewing' || status === 'recording') && (
+        <div className="mt-4">
+          <video ref={previewRef} autoPlay muted playsInline className="w-full max-w-xl rounded bg-black"></video>
+          <div className="flex items-center gap-3 mt-3">
+            {status === 'previewing' ? (
+              <>
+                <button
+                  onClick={startRecording}
+                  className="bg-red-500 text-white px-4 py-2 rounded hover:bg-red-600 transition-colors"
+                >
+                  Start recording
+                </button>
+                <button onClick={handleClose} className="text-sm text-gray-600 hover:underline">
+                  Cancel
+                </button>
+              </>
+            ) : (
+              <>
+                <button
+                  onClick={stopRecording}
+                  className="bg-red-600 text-white px-4 py-2 rounded hover:bg-red-700 transition-colors"
+                >
+                  Stop recording
+                </button>
+                <span className="text-sm text-red-600">Recording {formatDuration(elapsed)}, uploading as it goes</span>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+
+      {status === 'recorded' && (
+        <div className="mt-4">
+          <video src={recordingUrl} controls playsInline className="w-full max-w-xl rounded bg-black"></video>
+          <div className="flex items-center gap-3 mt-3">
+            <button
+              onClick={handleKeep}
+              className="bg-blue-500 text-white px-4 py-2 rounded hover:bg-blue-600 transition-colors"
+            >
+              Keep and process
+            </button>
+            <button onClick={handleRetake} className="text-sm text-gray-600 hover:underline">
+              Discard and retake
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,154 @@
+import { useState } from 'react';
+
+// List a processed video's subtitle tracks and attach SRT or WebVTT files.
+// `onChange` is called after every change so the video can be reloaded.
+export const SubtitleManager = ({ video, onChange }) => {
+  const [file, setFile] = useState(null);
+  const [language, setLanguage] = useState('');
+  const [name, setName] = useState('');
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const subtitlesUrl = `http://localhost:8000/api/videos/${video.videoId}/subtitles`;
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSaving(true);
+    setError(null);
+
+    const form = new FormData();
+    form.append('file', file);
+    form.append('language', language.trim());
+    if (name.trim()) {
+      form.append('name', name.trim());
+    }
+
+    try {
+      const response = await fetch(subtitlesUrl, {
+        method: 'POST',
+        credentials: 'include',
+        body: form
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to add subtitles');
+      }
+
+      setFile(null);
+      setLanguage('');
+      setName('');
+      event.target.reset();
+      onChange();
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async (subtitleId) => {
+    setError(null);
+
+    try {
+      const response = await fetch(`${subtitlesUrl}/${subtitleId}`, {
+        method: 'DELETE',
+        credentials: 'include'
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Failed to remove subtitles');
+      }
+      onChange();
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mt-4">
+      <h2 className="text-xl font-semibold mb-4">Subtitles</h2>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          {error}
+        </div>
+      )}
+
+      {video.subtitles?.length > 0 ? (
+        <ul className="divide-y mb-4">
+          {video.subtitles.map((subtitle) => (
+            <li key={subtitle.id} className="py-2 flex justify-between items-center">
+              <span>
+                {subtitle.name}{' '}
+                <span className="text-sm text-gray-500">
+                  ({subtitle.language}{subtitle.source === 'embedded' ? ', from the source file' : ''})
+                </span>
+              </span>
+              <button
+                onClick={() => handleRemove(subtitle.id)}
+                className="text-sm text-red-600 hover:underline"
+              >
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm text-gray-500 mb-4">No subtitles yet.</p>
+      )}
+
+      <form onSubmit={handleSubmit} className="flex flex-wrap items-end gap-3">
+        <div>
+          <label htmlFor="subtitle-file" className="block text-sm font-medium text-gray-700 mb-1">
+            File (.srt or .vtt)
+          </label>
+          <input
+            id="subtitle-file"
+            type="file"
+            accept=".srt,.vtt"
+            onChange={(e) => setFile(e.target.files[0] || null)}
+            className="text-sm"
+            required
+          />
+        </div>
+        <div>
+          <label htmlFor="subtitle-language" className="block text-sm font-medium text-gray-700 mb-1">
+            Language
+          </label>
+          <input
+            id="subtitle-language"
+            type="text"
+            placeholder="en"
+            value={language}
+            onChange={(e) => setLanguage(e.target.value)}
+            className="w-24 border border-gray-300 rounded px-3 py-2"
+            required
+          />
+        </div>
+        <div>
+          <label htmlFor="subtitle-name" className="block text-sm font-medium text-gray-700 mb-1">
+            Label
+          </label>
+          <input
+            id="subtitle-name"
+            type="text"
+            placeholder="English"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            className="w-40 border border-gray-300 rounded px-3 py-2"
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={saving || !file}
+          className={`${
+            saving || !file ? 'bg-gray-400 cursor-not-allowed' : 'bg-blue-500 hover:bg-blue-600'
+          } text-white px-4 py-2 rounded transition-colors`}
+        >
+          {saving ? 'Adding...' : 'Add subtitles'}
+        </button>
+      </form>
+    </div>
+  );
+};
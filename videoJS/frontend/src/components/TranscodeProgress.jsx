@@ -0,0 +1,64 @@
+// Format a number of seconds as m:ss
+const formatEta = (seconds) => {
+  if (seconds === null || seconds === undefined) return '--:--';
+  const minutes = Math.floor(seconds / 60);
+  const remaining = String(seconds % 60).padStart(2, '0');
+  return `${minutes}:${remaining}`;
+};
+
+// Per-rendition encoding progress for the videos currently being transcoded
+export const TranscodeProgress = ({ jobs }) => {
+  const entries = Object.entries(jobs);
+
+  if (entries.length === 0) {
+    return (
+      <div className="bg-yellow-100 border border-yellow-400 text-yellow-700 px-4 py-3 rounded mb-4">
+        Waiting for the encoder to start...
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4 mb-4">
+      {entries.map(([videoId, job]) => (
+        <div key={videoId} className="border rounded-lg p-4 bg-white">
+          <div className="flex justify-between text-sm font-medium mb-3">
+            <span>Encoding video {videoId.slice(0, 8)}</span>
+            <span>{job.overallPercent.toFixed(1)}% overall</span>
+          </div>
+
+          <div className="space-y-3">
+            {job.renditionNames.map((name) => {
+              const rendition = job.renditions[name];
+              const percent = rendition ? rendition.percent : 0;
+
+              return (
+                <div key={name}>
+                  <div className="flex justify-between text-xs text-gray-600 mb-1">
+                    <span className="font-medium">{name}</span>
+                    {rendition ? (
+                      <span>
+                        {percent.toFixed(1)}%
+                        {rendition.fps ? ` · ${rendition.fps} fps` : ''}
+                        {rendition.timemark ? ` · ${rendition.timemark}` : ''}
+                        {percent < 100 ? ` · ETA ${formatEta(rendition.eta)}` : ' · done'}
+                      </span>
+                    ) : (
+                      <span>waiting</span>
+                    )}
+                  </div>
+                  <div className="w-full bg-gray-200 rounded-full h-2">
+                    <div
+                      className="bg-green-500 h-2 rounded-full transition-all"
+                      style={{ width: `${percent}%` }}
+                    ></div>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
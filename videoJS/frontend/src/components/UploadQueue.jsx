@@ -0,0 +1,88 @@
+import { Link } from 'react-router';
+import { formatBytes } from '../formatBytes';
+
+const STATUS_LABELS = {
+  uploading: 'Uploading',
+  paused: 'Paused',
+  interrupted: 'Interrupted, select the same file again to resume',
+  processing: 'Uploaded, processing',
+  done: 'Done',
+  failed: 'Failed'
+};
+
+const BAR_COLORS = {
+  paused: 'bg-gray-400',
+  interrupted: 'bg-gray-400',
+  processing: 'bg-green-500',
+  done: 'bg-green-500',
+  failed: 'bg-red-500'
+};
+
+// Every upload of this browser: running, paused, left over from an earlier
+// visit or finished and waiting for the encoder. Recordings upload while they
+// are made, so their size isn't known until they are finished.
+export const UploadQueue = ({ uploads, onPause, onResume, onCancel, onDismiss }) => {
+  if (uploads.length === 0) {
+    return null;
+  }
+
+  return (
+    <ul className="space-y-3 mb-4">
+      {uploads.map((upload) => {
+        const percent = upload.size ? (upload.bytesUploaded / upload.size) * 100 : 0;
+        const canCancel = ['uploading', 'paused', 'interrupted'].includes(upload.status);
+        // A recording still being made gets a pulsing bar instead
+        const pulsing = !upload.size && upload.status === 'uploading';
+
+        return (
+          <li key={upload.id} className="border rounded-lg p-3">
+            <div className="flex justify-between items-center text-sm mb-2 gap-3">
+              <span className="font-medium truncate">{upload.filename}</span>
+              <div className="flex gap-3 shrink-0">
+                {upload.status === 'uploading' && !upload.streaming && (
+                  <button onClick={() => onPause(upload.id)} className="text-blue-600 hover:underline">
+                    Pause
+                  </button>
+                )}
+                {upload.status === 'paused' && (
+                  <button onClick={() => onResume(upload.id)} className="text-blue-600 hover:underline">
+                    Resume
+                  </button>
+                )}
+                {canCancel && (
+                  <button onClick={() => onCancel(upload.id)} className="text-red-600 hover:underline">
+                    Cancel
+                  </button>
+                )}
+                {upload.videoId && (
+                  <Link to={`/watch/${upload.videoId}`} className="text-blue-600 hover:underline">
+                    Watch
+                  </Link>
+                )}
+                {['done', 'failed'].includes(upload.status) && (
+                  <button onClick={() => onDismiss(upload.id)} className="text-gray-600 hover:underline">
+                    Dismiss
+                  </button>
+                )}
+              </div>
+            </div>
+            <div className="w-full bg-gray-200 rounded-full h-2">
+              <div
+                className={`${BAR_COLORS[upload.status] || 'bg-blue-600'} h-2 rounded-full transition-all ${pulsing ? 'animate-pulse' : ''}`}
+                style={{ width: `${upload.size ? percent : 100}%` }}
+              ></div>
+            </div>
+            <div className="flex justify-between text-xs text-gray-600 mt-1">
+              <span>{upload.status === 'failed' && upload.error ? upload.error : STATUS_LABELS[upload.status]}</span>
+              <span>
+                {upload.size
+                  ? `${formatBytes(upload.bytesUploaded)} / ${formatBytes(upload.size)} (${percent.toFixed(1)}%)`
+                  : formatBytes(upload.bytesUploaded)}
+              </span>
+            </div>
+          </li>
+        );
+      })}
+    </ul>
+  );
+};
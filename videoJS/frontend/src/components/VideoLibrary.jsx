@@ -0,0 +1,253 @@
+import { useEffect, useState } from 'react';
+import { Link } from 'react-router';
+import { toServerUrl } from '../serverUrl';
+import { formatDuration } from '../formatDuration';
+
+const PAGE_SIZE = 12;
+
+const STATUS_FILTERS = [
+  { status: 'processed', label: 'Processed' },
+  { status: 'queued', label: 'Queued' },
+  { status: 'processing', label: 'Processing' },
+  { status: 'error', label: 'Failed' },
+  { status: 'unprocessed', label: 'Not processed' }
+];
+
+const STATUS_BADGES = {
+  processed: 'bg-green-100 text-green-800',
+  queued: 'bg-yellow-100 text-yellow-800',
+  processing: 'bg-blue-100 text-blue-800',
+  error: 'bg-red-100 text-red-800',
+  unprocessed: 'bg-gray-100 text-gray-700'
+};
+
+const SOURCE_LABELS = {
+  upload: 'Uploaded',
+  clip: 'Clip',
+  live: 'Live recording'
+};
+
+// Sort choices as `<sort>:<order>` pairs of the library API
+const SORT_OPTIONS = [
+  { value: 'date:desc', label: 'Newest first' },
+  { value: 'date:asc', label: 'Oldest first' },
+  { value: 'name:asc', label: 'Name A-Z' },
+  { value: 'name:desc', label: 'Name Z-A' },
+  { value: 'duration:desc', label: 'Longest first' },
+  { value: 'duration:asc', label: 'Shortest first' },
+  { value: 'resolution:desc', label: 'Highest resolution' }
+];
+
+// Every video of the user, uploaded or local, as searchable and sortable cards.
+// Changing `refreshKey` reloads the current page.
+export const VideoLibrary = ({ refreshKey, processingLocalVideo, onProcess, onDelete }) => {
+  const [search, setSearch] = useState('');
+  const [query, setQuery] = useState('');
+  const [statuses, setStatuses] = useState([]);
+  const [sortOption, setSortOption] = useState(SORT_OPTIONS[0].value);
+  const [page, setPage] = useState(1);
+  const [library, setLibrary] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Only search once typing pauses
+  useEffect(() => {
+    const timeout = setTimeout(() => {
+      setQuery(search.trim());
+      setPage(1);
+    }, 300);
+    return () => clearTimeout(timeout);
+  }, [search]);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const [sort, order] = sortOption.split(':');
+    const params = new URLSearchParams({ sort, order, page: String(page), limit: String(PAGE_SIZE) });
+    if (query) {
+      params.set('search', query);
+    }
+    if (statuses.length > 0) {
+      params.set('status', statuses.join(','));
+    }
+
+    const fetchLibrary = async () => {
+      try {
+        setLoading(true);
+        const response = await fetch(`http://localhost:8000/api/library?${params}`, {
+          credentials: 'include',
+          signal: controller.signal
+        });
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || `Failed to load the library: ${response.statusText}`);
+        }
+        // A deletion can leave the current page empty
+        if (data.videos.length === 0 && page > data.totalPages) {
+          setPage(data.totalPages);
+          return;
+        }
+        setLibrary(data);
+        setError(null);
+      } catch (error) {
+        if (error.name !== 'AbortError') {
+          console.error('Error loading the library:', error);
+          setError(error.message);
+        }
+      } finally {
+        if (!controller.signal.aborted) {
+          setLoading(false);
+        }
+      }
+    };
+
+    fetchLibrary();
+    return () => controller.abort();
+  }, [query, statuses, sortOption, page, refreshKey]);
+
+  const toggleStatus = (status) => {
+    setStatuses(prev => (prev.includes(status)
+      ? prev.filter(item => item !== status)
+      : [...prev, status]));
+    setPage(1);
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+      <h2 className="text-xl font-semibold mb-4">Library</h2>
+
+      <div className="flex flex-wrap gap-3 mb-3">
+        <input
+          type="search"
+          placeholder="Search by filename"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          className="flex-1 min-w-48 border border-gray-300 rounded px-3 py-2"
+        />
+        <select
+          value={sortOption}
+          onChange={(e) => {
+            setSortOption(e.target.value);
+            setPage(1);
+          }}
+          className="border border-gray-300 rounded px-3 py-2 text-sm bg-white"
+        >
+          {SORT_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        {STATUS_FILTERS.map(({ status, label }) => (
+          <button
+            key={status}
+            onClick={() => toggleStatus(status)}
+            className={`text-sm px-3 py-1 rounded-full border ${
+              statuses.includes(status)
+                ? 'bg-blue-500 border-blue-500 text-white'
+                : 'border-gray-300 text-gray-700 hover:border-blue-500'
+            }`}
+          >
+            {label} ({library?.statusCounts[status] ?? 0})
+          </button>
+        ))}
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          {error}
+        </div>
+      )}
+
+      {!library && loading ? (
+        <div className="flex justify-center py-4">
+          <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-blue-500"></div>
+        </div>
+      ) : library?.videos.length === 0 ? (
+        <p className="text-gray-500 text-center py-4">
+          {query || statuses.length > 0 ? 'No videos match.' : 'No videos yet. Upload one or add files to the server uploads directory.'}
+        </p>
+      ) : library && (
+        <div className={`grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4 ${loading ? 'opacity-60' : ''}`}>
+          {library.videos.map((video) => (
+            <div key={video.videoId || `local:${video.filename}`} className="border rounded-lg overflow-hidden flex flex-col">
+              <div className="relative bg-gray-200 aspect-video">
+                {video.posterUrl && (
+                  <img src={toServerUrl(video.posterUrl)} alt="" className="w-full h-full object-cover" />
+                )}
+                {video.duration && (
+                  <span className="absolute bottom-1 right-1 bg-black/75 text-white text-xs px-1 rounded">
+                    {formatDuration(video.duration)}
+                  </span>
+                )}
+              </div>
+              <div className="p-3 flex flex-col gap-1 flex-1">
+                <p className="font-medium truncate" title={video.filename}>{video.filename}</p>
+                <div className="flex flex-wrap items-center gap-2 text-xs text-gray-600">
+                  <span className={`px-2 py-0.5 rounded ${STATUS_BADGES[video.status]}`}>
+                    {STATUS_FILTERS.find(filter => filter.status === video.status)?.label}
+                  </span>
+                  {video.width && video.height && <span>{video.width}×{video.height}</span>}
+                  <span>{SOURCE_LABELS[video.source] || 'Local'}</span>
+                  {video.createdAt && <span>{new Date(video.createdAt).toLocaleDateString()}</span>}
+                </div>
+                {video.status === 'error' && video.error && (
+                  <p className="text-xs text-red-600 truncate" title={video.error}>{video.error}</p>
+                )}
+                <div className="flex gap-2 mt-auto pt-2">
+                  {video.status === 'processed' && (
+                    <Link
+                      to={`/watch/${video.videoId}`}
+                      className="bg-blue-500 text-white text-sm px-3 py-1 rounded hover:bg-blue-600 transition-colors"
+                    >
+                      Play
+                    </Link>
+                  )}
+                  {video.status === 'unprocessed' && (
+                    <button
+                      onClick={() => onProcess(video.filename)}
+                      disabled={processingLocalVideo}
+                      className={`${
+                        processingLocalVideo ? 'bg-gray-400 cursor-not-allowed' : 'bg-green-500 hover:bg-green-600'
+                      } text-white text-sm px-3 py-1 rounded transition-colors`}
+                    >
+                      Process
+                    </button>
+                  )}
+                  {video.videoId && (
+                    <button
+                      onClick={() => onDelete(video.videoId)}
+                      className="text-sm text-red-600 hover:underline ml-auto"
+                    >
+                      Delete
+                    </button>
+                  )}
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {library && library.totalPages > 1 && (
+        <div className="flex justify-center items-center gap-4 mt-6 text-sm">
+          <button
+            onClick={() => setPage(page - 1)}
+            disabled={page <= 1}
+            className="text-blue-600 hover:underline disabled:text-gray-400 disabled:no-underline"
+          >
+            Previous
+          </button>
+          <span>Page {library.page} of {library.totalPages} ({library.total} videos)</span>
+          <button
+            onClick={() => setPage(page + 1)}
+            disabled={page >= library.totalPages}
+            className="text-blue-600 hover:underline disabled:text-gray-400 disabled:no-underline"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
@@ -3,109 +3,444 @@ import videojs from 'video.js';
 import 'video.js/dist/video-js.css';
 import '@videojs/http-streaming';
 
-export const VideoPlayer = ({ url }) => {
-  const videoRef = useRef(null);
+// How often a playing video reports its position
+const HEARTBEAT_INTERVAL_MS = 10000;
+
+// Parse "hh:mm:ss.mmm" or "mm:ss.mmm" into seconds
+const parseVttTime = (value) => value
+  .split(':')
+  .reduce((total, part) => total * 60 + parseFloat(part), 0);
+
+// Read a WebVTT thumbnails track whose cues point at sprite tiles
+// (`sprite_0.jpg#xywh=x,y,w,h`), resolving images against the track URL
+const parseThumbnailTrack = (text, trackUrl) => {
+  const cues = [];
+
+  for (const block of text.split(/\r?\n\r?\n/)) {
+    const lines = block.trim().split(/\r?\n/);
+    const timingIndex = lines.findIndex((line) => line.includes('-->'));
+    if (timingIndex === -1 || !lines[timingIndex + 1]) {
+      continue;
+    }
+
+    const [start, end] = lines[timingIndex].split('-->').map((part) => parseVttTime(part.trim()));
+    const [image, fragment = ''] = lines[timingIndex + 1].trim().split('#xywh=');
+    const [x = 0, y = 0, width = 0, height = 0] = fragment.split(',').map(Number);
+
+    cues.push({
+      start,
+      end,
+      url: new URL(image, trackUrl).href,
+      x,
+      y,
+      width,
+      height
+    });
+  }
+
+  return cues;
+};
+
+// Show the sprite tile for the hovered time above the progress bar.
+// Returns a function that removes the preview again.
+const attachThumbnailPreview = (player, cues) => {
+  const progressControl = player.controlBar.getChild('progressControl');
+  const seekBar = progressControl?.getChild('seekBar');
+  if (!seekBar || cues.length === 0) {
+    return () => {};
+  }
+
+  const preview = document.createElement('div');
+  preview.className = 'vjs-thumbnail-preview';
+  Object.assign(preview.style, {
+    position: 'absolute',
+    bottom: '100%',
+    marginBottom: '1.5em',
+    display: 'none',
+    pointerEvents: 'none',
+    border: '2px solid #fff',
+    borderRadius: '2px',
+    boxShadow: '0 1px 4px rgba(0, 0, 0, 0.5)',
+    zIndex: 2
+  });
+  progressControl.el().appendChild(preview);
+
+  const handleMouseMove = (event) => {
+    const duration = player.duration();
+    const bar = seekBar.el().getBoundingClientRect();
+    if (!duration || bar.width === 0) {
+      return;
+    }
+
+    const fraction = Math.min(1, Math.max(0, (event.clientX - bar.left) / bar.width));
+    const time = fraction * duration;
+    const cue = cues.find((entry) => time >= entry.start && time < entry.end) || cues[cues.length - 1];
+
+    // Keep the preview inside the progress bar
+    const container = progressControl.el().getBoundingClientRect();
+    const left = Math.min(
+      container.width - cue.width,
+      Math.max(0, event.clientX - container.left - cue.width / 2)
+    );
+
+    Object.assign(preview.style, {
+      display: 'block',
+      left: `${left}px`,
+      width: `${cue.width}px`,
+      height: `${cue.height}px`,
+      background: `url("${cue.url}") -${cue.x}px -${cue.y}px no-repeat`
+    });
+  };
+
+  const handleMouseLeave = () => {
+    preview.style.display = 'none';
+  };
+
+  progressControl.on('mousemove', handleMouseMove);
+  progressControl.on('mouseleave', handleMouseLeave);
+
+  return () => {
+    if (player.isDisposed()) {
+      return;
+    }
+    progressControl.off('mousemove', handleMouseMove);
+    progressControl.off('mouseleave', handleMouseLeave);
+    preview.remove();
+  };
+};
+
+// Shade the part of the progress bar between `start` and `end` (seconds).
+// Returns a function that removes the shading again.
+const attachRangeHighlight = (player, { start, end }) => {
+  const seekBar = player.controlBar.getChild('progressControl')?.getChild('seekBar');
+  if (!seekBar) {
+    return () => {};
+  }
+
+  const highlight = document.createElement('div');
+  highlight.className = 'vjs-clip-range';
+  Object.assign(highlight.style, {
+    position: 'absolute',
+    top: 0,
+    bottom: 0,
+    background: 'rgba(250, 204, 21, 0.6)',
+    pointerEvents: 'none'
+  });
+  seekBar.el().appendChild(highlight);
+
+  // The duration is only known once the metadata is in
+  const position = () => {
+    const duration = player.duration();
+    if (!duration) {
+      return;
+    }
+    highlight.style.left = `${(Math.max(0, start) / duration) * 100}%`;
+    highlight.style.width = `${(Math.max(0, Math.min(end, duration) - start) / duration) * 100}%`;
+  };
+  position();
+  player.on('durationchange', position);
+
+  return () => {
+    if (player.isDisposed()) {
+      return;
+    }
+    player.off('durationchange', position);
+    highlight.remove();
+  };
+};
+
+// `startPosition` seeks there and starts playing whenever it changes.
+// `onPosition` receives the playback position every HEARTBEAT_INTERVAL_MS
+// while playing and whenever playback pauses, ends or the player goes away.
+// `onReady` is handed the video.js player once it exists and null when it is
+// disposed, for controls outside the player. `highlightRange` shades a
+// `{ start, end }` range on the progress bar.
+export const VideoPlayer = ({ url, dashUrl, poster, thumbnailsUrl, subtitles = [], startPosition = null, onPosition, onReady, highlightRange = null }) => {
+  const containerRef = useRef(null);
   const playerRef = useRef(null);
 
+  // Create the player once. video.js takes over the element it is given, so it
+  // gets its own element rather than one React renders.
   useEffect(() => {
-    if (!playerRef.current && videoRef.current) {
-      const videoJsOptions = {
-        autoplay: false,
-        controls: true,
-        responsive: true,
-        fluid: true,
-        html5: {
-          vhs: {
-            enableLowInitialPlaylist: true,
-            smoothQualityChange: true,
-            overrideNative: true
-          }
-        },
-        controlBar: {
-          children: [
-            'playToggle',
-            'volumePanel',
-            'currentTimeDisplay',
-            'timeDivider',
-            'durationDisplay',
-            'progressControl',
-            'liveDisplay',
-            'customControlSpacer',
-            'playbackRateMenuButton',
-            'qualitySelector',
-            'fullscreenToggle'
-          ]
+    const videoElement = document.createElement('video-js');
+    videoElement.classList.add('vjs-big-play-centered');
+    containerRef.current.appendChild(videoElement);
+
+    const videoJsOptions = {
+      autoplay: false,
+      controls: true,
+      responsive: true,
+      fluid: true,
+      // Live playlists get a seekable progress bar over their sliding window
+      // (DVR) and a button back to the live edge; VOD is unaffected
+      liveui: true,
+      liveTracker: {
+        trackingThreshold: 0
+      },
+      html5: {
+        vhs: {
+          enableLowInitialPlaylist: true,
+          smoothQualityChange: true,
+          overrideNative: true,
+          // Send the session cookie so the key endpoint can authorize encrypted videos
+          withCredentials: true
         },
-        playbackRates: [0.5, 1, 1.5, 2],
-        userActions: {
-          hotkeys: true
-        }
-      };
-
-      // Initialize the player
-      const player = videojs(videoRef.current, videoJsOptions);
-      
-      // Add quality selector plugin
-      player.ready(() => {
-        console.log('Player is ready');
-        
-        // Only set source if we have a URL
-        if (url) {
-          player.src({
-            src: url,
-            type: 'application/x-mpegURL'
-          });
-        }
-        
-        // Setup quality selection
-        player.on('loadedmetadata', () => {
-          console.log('Video metadata loaded');
-          const qualities = player.qualityLevels();
-          
-          if (qualities && qualities.length > 0) {
-            console.log(`Found ${qualities.length} quality levels`);
-            
-            // Add quality selector if not already added
-            if (!player.controlBar.getChild('QualitySelector')) {
-              try {
-                const QualitySelector = videojs.getComponent('QualitySelector');
-                player.controlBar.addChild('QualitySelector', {});
-                console.log('Quality selector added to player');
-              } catch (error) {
-                console.error('Error adding quality selector:', error);
-              }
+        // Let video.js render captions so HLS subtitle groups and side-loaded
+        // tracks share the same captions menu, and list the alternate audio
+        // renditions itself
+        nativeTextTracks: false,
+        nativeAudioTracks: false,
+        nativeVideoTracks: false
+      },
+      controlBar: {
+        children: [
+          'playToggle',
+          'volumePanel',
+          'currentTimeDisplay',
+          'timeDivider',
+          'durationDisplay',
+          'progressControl',
+          'liveDisplay',
+          'seekToLive',
+          'customControlSpacer',
+          'subsCapsButton',
+          'audioTrackButton',
+          'playbackRateMenuButton',
+          'qualitySelector',
+          'fullscreenToggle'
+        ]
+      },
+      playbackRates: [0.5, 1, 1.5, 2],
+      userActions: {
+        hotkeys: true
+      }
+    };
+
+    // Initialize the player
+    const player = videojs(videoElement, videoJsOptions);
+
+    // Add quality selector plugin
+    player.ready(() => {
+      console.log('Player is ready');
+
+      // Setup quality selection
+      player.on('loadedmetadata', () => {
+        console.log('Video metadata loaded');
+        const qualities = player.qualityLevels();
+
+        if (qualities && qualities.length > 0) {
+          console.log(`Found ${qualities.length} quality levels`);
+
+          // Add quality selector if not already added
+          if (!player.controlBar.getChild('QualitySelector')) {
+            try {
+              player.controlBar.addChild('QualitySelector', {});
+              console.log('Quality selector added to player');
+            } catch (error) {
+              console.error('Error adding quality selector:', error);
             }
           }
-        });
-        
-        // Add city theme class
-        player.addClass('vjs-theme-city');
+        }
       });
-      
-      // Save player reference
-      playerRef.current = player;
-    } else if (playerRef.current && url) {
-      // If player exists but URL changes, update the source
-      playerRef.current.src({
-        src: url,
-        type: 'application/x-mpegURL'
+
+      // Add city theme class
+      player.addClass('vjs-theme-city');
+    });
+
+    // Save player reference
+    playerRef.current = player;
+
+    // Cleanup
+    return () => {
+      player.dispose();
+      playerRef.current = null;
+    };
+  }, []);
+
+  // Load a new source whenever the URLs change. video.js plays the first
+  // source it can handle: DASH where Media Source Extensions are available,
+  // otherwise the HLS playlist over the same CMAF segments (e.g. native HLS on iOS).
+  useEffect(() => {
+    if (playerRef.current && url) {
+      playerRef.current.src([
+        ...(dashUrl ? [{ src: dashUrl, type: 'application/dash+xml' }] : []),
+        { src: url, type: 'application/x-mpegURL' }
+      ]);
+    }
+  }, [url, dashUrl]);
+
+  useEffect(() => {
+    playerRef.current?.poster(poster || '');
+  }, [poster]);
+
+  useEffect(() => {
+    if (!onReady) {
+      return;
+    }
+    onReady(playerRef.current);
+    return () => onReady(null);
+  }, [onReady]);
+
+  const highlightStart = highlightRange?.start;
+  const highlightEnd = highlightRange?.end;
+  useEffect(() => {
+    const player = playerRef.current;
+    if (!player || !(highlightEnd > highlightStart)) {
+      return;
+    }
+    return attachRangeHighlight(player, { start: highlightStart, end: highlightEnd });
+  }, [highlightStart, highlightEnd]);
+
+  // Seeking before the metadata is in would be ignored, so wait for it
+  useEffect(() => {
+    const player = playerRef.current;
+    if (!player || startPosition === null) {
+      return;
+    }
+
+    const seekAndPlay = () => {
+      player.currentTime(startPosition);
+      player.play()?.catch(() => {
+        // Autoplay blocked; the viewer can press play at the new position
       });
+    };
+
+    if (player.readyState() >= 1) {
+      seekAndPlay();
+      return;
     }
+    player.one('loadedmetadata', seekAndPlay);
+    return () => {
+      if (!player.isDisposed()) {
+        player.off('loadedmetadata', seekAndPlay);
+      }
+    };
+  }, [startPosition]);
+
+  // Playback heartbeat. Nothing is reported before playback first starts, and
+  // the position is tracked as it changes because the player is already
+  // disposed by the time this effect is cleaned up on unmount.
+  useEffect(() => {
+    const player = playerRef.current;
+    if (!player || !onPosition) {
+      return;
+    }
+
+    let hasPlayed = false;
+    let position = null;
+    let reportedPosition = null;
+    let lastReportAt = 0;
+
+    const report = () => {
+      if (!player.isDisposed()) {
+        position = player.currentTime();
+      }
+      if (!hasPlayed || position === null || position === reportedPosition) {
+        return;
+      }
+      reportedPosition = position;
+      lastReportAt = Date.now();
+      onPosition(position);
+    };
+
+    const handlePlaying = () => {
+      hasPlayed = true;
+    };
+    const handleTimeUpdate = () => {
+      position = player.currentTime();
+      if (!player.paused() && Date.now() - lastReportAt >= HEARTBEAT_INTERVAL_MS) {
+        report();
+      }
+    };
+
+    player.on('playing', handlePlaying);
+    player.on('timeupdate', handleTimeUpdate);
+    player.on(['pause', 'ended'], report);
+    window.addEventListener('pagehide', report);
 
-    // Cleanup
     return () => {
-      if (playerRef.current) {
-        playerRef.current.dispose();
-        playerRef.current = null;
+      window.removeEventListener('pagehide', report);
+      if (!player.isDisposed()) {
+        player.off('playing', handlePlaying);
+        player.off('timeupdate', handleTimeUpdate);
+        player.off(['pause', 'ended'], report);
       }
+      report();
+    };
+  }, [onPosition]);
+
+  // HLS brings its subtitle tracks along in the master playlist; the DASH
+  // manifest doesn't, so side-load the WebVTT files when playing DASH
+  useEffect(() => {
+    const player = playerRef.current;
+    if (!player || subtitles.length === 0) {
+      return;
+    }
+
+    let addedTracks = [];
+
+    const addSubtitleTracks = () => {
+      if (player.currentType() !== 'application/dash+xml' || addedTracks.length > 0) {
+        return;
+      }
+      addedTracks = subtitles.map((subtitle) => player.addRemoteTextTrack({
+        kind: 'subtitles',
+        src: subtitle.url,
+        srclang: subtitle.language,
+        label: subtitle.name
+      }, false));
+    };
+
+    player.on('loadedmetadata', addSubtitleTracks);
+    if (player.readyState() >= 1) {
+      addSubtitleTracks();
+    }
+
+    return () => {
+      if (player.isDisposed()) {
+        return;
+      }
+      player.off('loadedmetadata', addSubtitleTracks);
+      addedTracks.forEach((track) => player.removeRemoteTextTrack(track));
+    };
+  }, [subtitles]);
+
+  // Hover previews on the progress bar from the WebVTT thumbnails track
+  useEffect(() => {
+    const player = playerRef.current;
+    if (!player || !thumbnailsUrl) {
+      return;
+    }
+
+    const controller = new AbortController();
+    let removePreview = null;
+
+    const loadThumbnails = async () => {
+      try {
+        const response = await fetch(thumbnailsUrl, { signal: controller.signal });
+        if (!response.ok) {
+          throw new Error(`Failed to fetch thumbnails: ${response.statusText}`);
+        }
+        const cues = parseThumbnailTrack(await response.text(), thumbnailsUrl);
+        removePreview = attachThumbnailPreview(player, cues);
+      } catch (error) {
+        if (error.name !== 'AbortError') {
+          console.error('Error loading thumbnails:', error);
+        }
+      }
+    };
+
+    loadThumbnails();
+
+    return () => {
+      controller.abort();
+      removePreview?.();
     };
-  }, [url]);
+  }, [thumbnailsUrl]);
 
   return (
     <div className="w-full max-w-4xl mx-auto">
-      <div data-vjs-player>
-        <video ref={videoRef} className="video-js vjs-big-play-centered" />
-      </div>
+      <div data-vjs-player ref={containerRef} />
     </div>
   );
 };
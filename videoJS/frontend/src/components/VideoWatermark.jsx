@@ -0,0 +1,113 @@
+import { useEffect, useState } from 'react';
+import { Link } from 'react-router';
+import { WatermarkForm } from './WatermarkForm';
+
+// Settings a video gets when it switches from the default to its own
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  imageId: null,
+  position: 'top-right',
+  scale: 0.15,
+  opacity: 0.8,
+  text: null,
+  textPosition: 'bottom-left'
+};
+
+// Give a video its own watermark or put it back on the owner's default.
+// Either way the video is encoded again; `onChange` reloads it.
+export const VideoWatermark = ({ video, onChange }) => {
+  const [images, setImages] = useState(null);
+  const [custom, setCustom] = useState(Boolean(video.watermark));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchImages = async () => {
+      try {
+        const response = await fetch('http://localhost:8000/api/watermark/images', {
+          credentials: 'include'
+        });
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || 'Failed to load the watermark images');
+        }
+        setImages(data.images);
+      } catch (error) {
+        setError(error.message);
+      }
+    };
+
+    fetchImages();
+  }, []);
+
+  const save = async (watermark) => {
+    if (!window.confirm('Encode this video again with the new watermark? It is unavailable until that finishes.')) {
+      return;
+    }
+
+    setSaving(true);
+    setError(null);
+
+    try {
+      const response = await fetch(`http://localhost:8000/api/videos/${video.videoId}/watermark`, {
+        method: 'PUT',
+        credentials: 'include',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ watermark })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to change the watermark');
+      }
+      onChange();
+    } catch (error) {
+      setError(error.message);
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mt-4">
+      <h2 className="text-xl font-semibold mb-4">Watermark</h2>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          {error}
+        </div>
+      )}
+
+      <div className="flex gap-4 text-sm text-gray-700 mb-4">
+        <label className="flex items-center gap-2">
+          <input type="radio" checked={!custom} onChange={() => setCustom(false)} />
+          Use my <Link to="/branding" className="text-blue-600 hover:underline">default watermark</Link>
+        </label>
+        <label className="flex items-center gap-2">
+          <input type="radio" checked={custom} onChange={() => setCustom(true)} />
+          Use a watermark of its own
+        </label>
+      </div>
+
+      {!custom ? (
+        <button
+          onClick={() => save(null)}
+          disabled={saving}
+          className={`${
+            saving ? 'bg-gray-400 cursor-not-allowed' : 'bg-blue-500 hover:bg-blue-600'
+          } text-white px-4 py-2 rounded transition-colors`}
+        >
+          {saving ? 'Saving...' : 'Apply the default'}
+        </button>
+      ) : images ? (
+        <WatermarkForm
+          value={video.watermark || DEFAULT_SETTINGS}
+          images={images}
+          saving={saving}
+          submitLabel="Apply to this video"
+          onSave={save}
+        />
+      ) : null}
+    </div>
+  );
+};
@@ -0,0 +1,110 @@
+import { useEffect, useState } from 'react';
+import { Link } from 'react-router';
+import { toServerUrl } from '../serverUrl';
+import { formatDuration } from '../formatDuration';
+
+// Recently watched videos with how far the user got in each
+export const WatchHistory = () => {
+  const [history, setHistory] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchHistory = async () => {
+      try {
+        const response = await fetch('http://localhost:8000/api/history', {
+          credentials: 'include'
+        });
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || `Failed to load the watch history: ${response.statusText}`);
+        }
+        setHistory(data.history);
+      } catch (error) {
+        console.error('Error loading the watch history:', error);
+        setError(error.message);
+      }
+    };
+
+    fetchHistory();
+  }, []);
+
+  const handleRemove = async (videoId) => {
+    try {
+      const response = await fetch(`http://localhost:8000/api/history/${videoId}`, {
+        method: 'DELETE',
+        credentials: 'include'
+      });
+      if (!response.ok && response.status !== 404) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Failed to remove the video from the history');
+      }
+      setHistory(prev => prev.filter(entry => entry.videoId !== videoId));
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+      <h2 className="text-xl font-semibold mb-4">Recently watched</h2>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          {error}
+        </div>
+      )}
+
+      {!history ? (
+        !error && (
+          <div className="flex justify-center py-4">
+            <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-blue-500"></div>
+          </div>
+        )
+      ) : history.length === 0 ? (
+        <p className="text-gray-500 text-center py-4">Nothing watched yet.</p>
+      ) : (
+        <ul className="divide-y">
+          {history.map((entry) => (
+            <li key={entry.videoId} className="py-3 flex items-center gap-4">
+              <Link to={`/watch/${entry.videoId}`} className="shrink-0">
+                {entry.posterUrl ? (
+                  <img
+                    src={toServerUrl(entry.posterUrl)}
+                    alt=""
+                    className="w-28 h-16 object-cover rounded bg-gray-200"
+                  />
+                ) : (
+                  <div className="w-28 h-16 rounded bg-gray-200"></div>
+                )}
+              </Link>
+              <div className="flex-1 min-w-0">
+                <Link to={`/watch/${entry.videoId}`} className="font-medium truncate block hover:underline" title={entry.filename}>
+                  {entry.filename}
+                </Link>
+                <div className="w-full bg-gray-200 rounded-full h-1.5 my-2">
+                  <div
+                    className={`${entry.completed ? 'bg-green-500' : 'bg-red-500'} h-1.5 rounded-full`}
+                    style={{ width: `${entry.percent}%` }}
+                  ></div>
+                </div>
+                <p className="text-xs text-gray-600">
+                  {entry.completed
+                    ? 'Watched'
+                    : `${entry.percent}% watched, stopped at ${formatDuration(entry.position)}`}
+                  {entry.duration ? ` of ${formatDuration(entry.duration)}` : ''}
+                  {' · '}{new Date(entry.watchedAt).toLocaleString()}
+                </p>
+              </div>
+              <button
+                onClick={() => handleRemove(entry.videoId)}
+                className="text-sm text-gray-600 hover:underline shrink-0"
+              >
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
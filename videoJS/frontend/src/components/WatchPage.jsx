@@ -0,0 +1,137 @@
+import { useCallback, useMemo, useState } from 'react';
+import { Link } from 'react-router';
+import { VideoPlayer } from './VideoPlayer';
+import { TranscodeProgress } from './TranscodeProgress';
+import { SubtitleManager } from './SubtitleManager';
+import { ClipEditor } from './ClipEditor';
+import { VideoWatermark } from './VideoWatermark';
+import { AudioPanel } from './AudioPanel';
+import { toServerUrl } from '../serverUrl';
+import { formatDuration } from '../formatDuration';
+
+// The page behind a shared /watch/:videoId link. `video` is null while it
+// loads; videos that are still queued or encoding show their progress until
+// the WebSocket reports them ready and the page is handed the processed video.
+// Viewers who stopped partway through are offered to pick up where they left.
+export const WatchPage = ({ video, notFound, jobProgress, onReload, onDelete }) => {
+  const [startPosition, setStartPosition] = useState(null);
+  const [resumeAnswered, setResumeAnswered] = useState(false);
+  const [player, setPlayer] = useState(null);
+  const [clipRange, setClipRange] = useState(null);
+  const [audioOnly, setAudioOnly] = useState(false);
+  const videoId = video?.videoId;
+
+  // keepalive lets the last report go out while the page unloads
+  const savePosition = useCallback((position) => {
+    fetch(`http://localhost:8000/api/videos/${videoId}/position`, {
+      method: 'PUT',
+      credentials: 'include',
+      keepalive: true,
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ position })
+    }).catch((error) => {
+      console.error('Error saving the playback position:', error);
+    });
+  }, [videoId]);
+
+  const subtitleTracks = useMemo(() => (video?.subtitles || []).map(subtitle => ({
+    ...subtitle,
+    url: toServerUrl(subtitle.url)
+  })), [video]);
+
+  if (notFound) {
+    return (
+      <div className="bg-white rounded-lg shadow-md p-6 text-center">
+        <p className="text-gray-700 mb-2">This video doesn't exist or has been deleted.</p>
+        <Link to="/library" className="text-blue-600 hover:underline">Back to the library</Link>
+      </div>
+    );
+  }
+
+  if (!video) {
+    return (
+      <div className="flex justify-center py-8">
+        <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-blue-500"></div>
+      </div>
+    );
+  }
+
+  const title = video.sourceFilename || video.videoId;
+
+  // Switching between the full and the audio-only playlist carries on from
+  // the same spot
+  const changeAudioOnly = (enabled) => {
+    if (player?.currentTime() > 0) {
+      setStartPosition(player.currentTime());
+    }
+    setAudioOnly(enabled);
+  };
+  const listening = audioOnly && Boolean(video.audioUrl);
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-2 gap-3">
+        <h2 className="text-xl font-semibold truncate" title={title}>{title}</h2>
+        <button
+          onClick={() => onDelete(video.videoId)}
+          className="text-sm text-red-600 hover:underline shrink-0"
+        >
+          Delete video
+        </button>
+      </div>
+
+      {video.status === 'processed' ? (
+        <>
+          {video.resumePosition > 0 && !resumeAnswered && (
+            <div className="bg-blue-50 border border-blue-300 text-blue-800 px-4 py-3 rounded mb-4 flex flex-wrap items-center gap-3">
+              <span className="flex-1">You stopped watching at {formatDuration(video.resumePosition)}.</span>
+              <button
+                onClick={() => {
+                  setStartPosition(video.resumePosition);
+                  setResumeAnswered(true);
+                }}
+                className="bg-blue-500 text-white text-sm px-3 py-1 rounded hover:bg-blue-600 transition-colors"
+              >
+                Resume from {formatDuration(video.resumePosition)}
+              </button>
+              <button
+                onClick={() => setResumeAnswered(true)}
+                className="text-sm text-blue-700 hover:underline"
+              >
+                Start over
+              </button>
+            </div>
+          )}
+          <VideoPlayer
+            url={toServerUrl(listening ? video.audioUrl : video.hlsUrl)}
+            dashUrl={listening ? null : toServerUrl(video.dashUrl)}
+            poster={toServerUrl(video.posterUrl)}
+            thumbnailsUrl={toServerUrl(video.thumbnailsUrl)}
+            subtitles={subtitleTracks}
+            startPosition={startPosition}
+            onPosition={savePosition}
+            onReady={setPlayer}
+            highlightRange={clipRange}
+          />
+          <ClipEditor video={video} player={player} range={clipRange} onRangeChange={setClipRange} />
+          <AudioPanel video={video} audioOnly={listening} onAudioOnlyChange={changeAudioOnly} />
+          <SubtitleManager video={video} onChange={onReload} />
+          <VideoWatermark video={video} onChange={onReload} />
+        </>
+      ) : video.status === 'error' ? (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+          Processing failed: {video.error}
+        </div>
+      ) : (
+        <>
+          <div className="bg-yellow-100 border border-yellow-400 text-yellow-700 px-4 py-3 rounded mb-4">
+            This video is still being processed. It will start playing here once it's ready.
+          </div>
+          <TranscodeProgress jobs={jobProgress ? { [video.videoId]: jobProgress } : {}} />
+        </>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,144 @@
+import { useState } from 'react';
+
+const POSITIONS = {
+  'top-left': 'Top left',
+  'top-right': 'Top right',
+  'bottom-left': 'Bottom left',
+  'bottom-right': 'Bottom right',
+  center: 'Center'
+};
+
+const TEXTS = {
+  '': 'No text',
+  uploader: "Uploader's name",
+  timestamp: 'Upload date and time'
+};
+
+// Edit watermark settings: an image from `images` and/or a text, where they
+// go, how large and how opaque. `onSave` gets the edited settings.
+export const WatermarkForm = ({ value, images, saving, submitLabel, onSave }) => {
+  const [draft, setDraft] = useState(value);
+
+  const update = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    onSave(draft);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      <label className="flex items-center gap-2 text-sm text-gray-700">
+        <input
+          type="checkbox"
+          checked={draft.enabled}
+          onChange={(e) => update({ enabled: e.target.checked })}
+        />
+        Burn in a watermark
+      </label>
+
+      <fieldset disabled={!draft.enabled} className="flex flex-wrap items-end gap-3 disabled:opacity-50">
+        <div>
+          <label htmlFor="watermark-image" className="block text-sm font-medium text-gray-700 mb-1">
+            Image
+          </label>
+          <select
+            id="watermark-image"
+            value={draft.imageId || ''}
+            onChange={(e) => update({ imageId: e.target.value || null })}
+            className="border border-gray-300 rounded px-3 py-2 text-sm"
+          >
+            <option value="">No image</option>
+            {images.map((image) => (
+              <option key={image.id} value={image.id}>{image.name}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="watermark-position" className="block text-sm font-medium text-gray-700 mb-1">
+            Image position
+          </label>
+          <select
+            id="watermark-position"
+            value={draft.position}
+            onChange={(e) => update({ position: e.target.value })}
+            className="border border-gray-300 rounded px-3 py-2 text-sm"
+          >
+            {Object.entries(POSITIONS).map(([position, label]) => (
+              <option key={position} value={position}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="watermark-scale" className="block text-sm font-medium text-gray-700 mb-1">
+            Width: {Math.round(draft.scale * 100)}% of the video
+          </label>
+          <input
+            id="watermark-scale"
+            type="range"
+            min="0.02"
+            max="0.5"
+            step="0.01"
+            value={draft.scale}
+            onChange={(e) => update({ scale: Number(e.target.value) })}
+          />
+        </div>
+        <div>
+          <label htmlFor="watermark-opacity" className="block text-sm font-medium text-gray-700 mb-1">
+            Opacity: {Math.round(draft.opacity * 100)}%
+          </label>
+          <input
+            id="watermark-opacity"
+            type="range"
+            min="0.1"
+            max="1"
+            step="0.05"
+            value={draft.opacity}
+            onChange={(e) => update({ opacity: Number(e.target.value) })}
+          />
+        </div>
+        <div>
+          <label htmlFor="watermark-text" className="block text-sm font-medium text-gray-700 mb-1">
+            Text
+          </label>
+          <select
+            id="watermark-text"
+            value={draft.text || ''}
+            onChange={(e) => update({ text: e.target.value || null })}
+            className="border border-gray-300 rounded px-3 py-2 text-sm"
+          >
+            {Object.entries(TEXTS).map(([text, label]) => (
+              <option key={text} value={text}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="watermark-text-position" className="block text-sm font-medium text-gray-700 mb-1">
+            Text position
+          </label>
+          <select
+            id="watermark-text-position"
+            value={draft.textPosition}
+            onChange={(e) => update({ textPosition: e.target.value })}
+            disabled={!draft.text}
+            className="border border-gray-300 rounded px-3 py-2 text-sm"
+          >
+            {Object.entries(POSITIONS).map(([position, label]) => (
+              <option key={position} value={position}>{label}</option>
+            ))}
+          </select>
+        </div>
+      </fieldset>
+
+      <button
+        type="submit"
+        disabled={saving}
+        className={`${
+          saving ? 'bg-gray-400 cursor-not-allowed' : 'bg-blue-500 hover:bg-blue-600'
+        } text-white px-4 py-2 rounded transition-colors`}
+      >
+        {saving ? 'Saving...' : submitLabel}
+      </button>
+    </form>
+  );
+};
@@ -0,0 +1,14 @@
+// How the stream states of the live API are shown
+export const LIVE_STATUS_LABELS = {
+  idle: 'Not started',
+  starting: 'Starting',
+  live: 'Live',
+  ended: 'Ended'
+};
+
+export const LIVE_STATUS_BADGES = {
+  idle: 'bg-gray-100 text-gray-700',
+  starting: 'bg-yellow-100 text-yellow-800',
+  live: 'bg-red-100 text-red-700',
+  ended: 'bg-blue-100 text-blue-800'
+};
@@ -0,0 +1,4 @@
+// Media URLs from the API are relative to the backend
+export const toServerUrl = (url) => url && !url.startsWith('http')
+  ? `http://localhost:8000${url}`
+  : url;